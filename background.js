@@ -1,11 +1,25 @@
 /**
  * PageGobbler — Background Service Worker
  * Orchestrates the full-page screenshot capture pipeline:
- *   1. Tells content script to measure page & start scrolling
- *   2. Captures each viewport via chrome.tabs.captureVisibleTab
- *   3. Holds result in memory for the viewer to fetch via messaging
+ *   1. Tells content script to measure page & start scrolling (or to run the
+ *      element picker / region selector, which call back with 'start-capture'
+ *      once the user has chosen what to gobble)
+ *   2. Captures each viewport via chrome.tabs.captureVisibleTab, or through the
+ *      DevTools protocol (chrome.debugger) when that engine is selected
+ *   3. Writes frames (as PNG blobs) and the finished result to IndexedDB as a
+ *      session, and opens the viewer on that session's ID
+ * A capture run repeats steps 1–2 once per variant — each responsive width
+ * and/or light/dark color scheme, emulated through the DevTools protocol —
+ * and hands the viewer every set. A batch queues several pages and runs a
+ * capture for each, one at a time.
+ *
+ * In-flight state is mirrored to chrome.storage.session, so when Chrome
+ * suspends this worker mid-capture the restarted worker resumes the capture
+ * (or finalizes it with what it has) instead of losing it.
  */
 
+import { SessionStore } from './lib/session-store.js';
+
 const DEFAULT_SETTINGS = {
   quality: 0.92,          // jpeg/webp quality
   maxFileSizeMB: 3,       // target max per-section
@@ -14,19 +28,94 @@ const DEFAULT_SETTINGS = {
   sectionMaxHeight: 4096, // px per section slice
   compressionStrategy: 'auto', // auto | aggressive | lossless
   oneClickMode: false,    // skip popup, gobble immediately on icon click
+  scrollContainerSelector: '', // CSS selector of an inner scroller; '' = auto-detect
+  captureFullWidth: false, // 2D tile capture for pages wider than the viewport
+  followGrowth: true,     // keep scrolling while the page grows (infinite feeds)
+  maxPageHeight: 0,       // stop condition: CSS px; 0 = no limit
+  maxViewports: 0,        // stop condition: viewport rows; 0 = no limit
+  growthStallScrolls: 2,  // stop condition: retries at the bottom without growth
+  stopAtSelector: '',     // stop condition: end the capture at this element
+  warmUpLazyLoad: false,  // scroll the whole page once before capturing
+  waitForReadiness: true, // per frame: fonts, in-view image decodes, quiet DOM
+  readinessTimeoutMs: 2000, // timeout for each readiness wait
+  mutationQuietMs: 200,   // how long the DOM must be mutation-free
+  fixedElementRules: [],  // [{ policy: top|bottom|hide|leave|in-place, selector }]
+  captureEngine: 'scroll', // scroll (captureVisibleTab) | devtools (chrome.debugger)
+  responsiveWidths: [375, 768, 1440], // CSS px widths for responsive capture
+  colorScheme: 'system',  // prefers-color-scheme: system (no emulation) | light | dark | both
+  batchRetries: 1,        // extra attempts per batch item before it is marked failed
+  dismissPopups: true,    // hide consent banners, newsletter modals, chat widgets; off for forensic captures
+  preCaptureActions: {},  // { domain: [{ type: click|wait-for|wait|type|scroll-to|remove, selector, ms, text }] }
+  redactPII: false,       // mask personal data and secrets in the images and extracted text
+  redactionStyle: 'blackout', // blackout | blur
+  redactionDetectors: ['email', 'phone', 'credit-card', 'api-key'],
+  redactionPatterns: [],  // custom regex sources, one detector each (custom-1, custom-2, …)
+  redactionSelectors: [], // CSS selectors whose elements are masked whole
+  saveToLibrary: false,   // keep every finished capture in the library (library/library.html), not just those saved by hand
+  libraryMaxAgeDays: 30,  // prune library captures older than this; 0 keeps them
+  libraryMaxSizeMB: 500,  // prune the oldest library captures beyond this total; 0 for no limit
+  zipArtifacts: {         // which files the ZIP gets, per capture set
+    sections: true, metadata: true, text: true, dom: true, layout: true, assets: true, structuredData: true,
+    designTokens: true, styles: true, resources: true, forms: true, links: true, console: true,
+  },
 };
 
 let captureState = null;
-let lastCaptureResult = null; // holds completed capture for viewer to fetch
 let lastCaptureTime = 0;
 let progressWindowId = null;
 const MIN_CAPTURE_INTERVAL_MS = 550; // Chrome enforces 2 calls/sec max (500ms); add buffer
+const DEBUGGER_PROTOCOL_VERSION = '1.3';
+const DEBUGGER_TILE_PX = 4096; // CSS px per beyond-viewport tile side — keeps bitmaps under GPU limits
+const MOBILE_MAX_WIDTH_PX = 767;  // emulate a mobile device (meta viewport, overlay scrollbars) at or below
+const EMULATION_SETTLE_MS = 600; // let media queries and layout settle after an emulation change
+const PAGE_LOAD_TIMEOUT_MS = 30000;   // batch / scheduled pages
+const PAGE_SETTLE_MS = 1000;          // after load: let late scripts and fonts finish
+const QUEUED_CAPTURE_TIMEOUT_MS = 180000; // a batch / scheduled capture that never completes fails
+const SCHEDULE_ALARM_PREFIX = 'schedule:';
+const SCHEDULE_RETRY_PREFIX = 'schedule-retry:';
+const SCHEDULE_HISTORY_LIMIT = 20;    // results kept per schedule
+const SCHEDULE_BUSY_RETRY_MINUTES = 1; // another capture is running — try again shortly
+const SIGNATURE_COLUMNS = 32;         // image signature: grayscale thumbnail width...
+const SIGNATURE_MAX_ROWS = 256;       // ...and its height cap
+const SIGNATURE_PIXEL_DELTA = 24;     // grayscale difference that counts as a changed cell
+const SESSIONS_KEPT = 10;             // finished sessions kept so viewer tabs can reload
+const GLOBAL_ONLY_SETTINGS = ['oneClickMode', 'batchRetries', 'saveToLibrary', 'libraryMaxAgeDays', 'libraryMaxSizeMB']; // not per site, so never in a profile
+const PRESET_KEY_PREFIX = 'preset:';  // one storage item per preset (sync has a per-item quota)
+const PRESET_COMMAND_PREFIX = 'preset-'; // keyboard commands preset-1 … preset-3
+// What a preset can set — compression, extraction and output choices — and
+// the values each may take (ranges as on the options page)
+const isOneOf = (...values) => v => values.includes(v);
+const isBetween = (min, max) => v => typeof v === 'number' && v >= min && v <= max;
+const isBoolean = v => typeof v === 'boolean';
+const PRESET_FIELDS = {
+  compressionStrategy: isOneOf('auto', 'aggressive', 'lossless'),
+  maxFileSizeMB: isBetween(0.5, 20),
+  quality: isBetween(0.3, 1),
+  enableSections: isBoolean,
+  sectionMaxHeight: isBetween(1024, 16384),
+  enableOCR: isBoolean,
+  captureEngine: isOneOf('scroll', 'devtools'),
+  colorScheme: isOneOf('system', 'light', 'dark', 'both'),
+  dismissPopups: isBoolean,
+  redactPII: isBoolean,
+  redactionStyle: isOneOf('blackout', 'blur'),
+  zipArtifacts: v => !!v && typeof v === 'object' && !Array.isArray(v) &&
+    Object.entries(v).every(([key, on]) => key in DEFAULT_SETTINGS.zipArtifacts && isBoolean(on)),
+};
 
 // ── 1-Click Mode ────────────────────────────────────────────────────────────
 
 // On startup, apply the saved 1-click preference
-chrome.runtime.onInstalled.addListener(() => applyOneClickMode());
-chrome.runtime.onStartup.addListener(() => applyOneClickMode());
+chrome.runtime.onInstalled.addListener(() => {
+  applyOneClickMode();
+  seedPresets();
+  syncScheduleAlarms();
+  createCaptureMenus();
+});
+chrome.runtime.onStartup.addListener(() => {
+  applyOneClickMode();
+  syncScheduleAlarms();
+});
 
 async function applyOneClickMode() {
   const settings = await loadSettings();
@@ -38,7 +127,14 @@ async function applyOneClickMode() {
 }
 
 // Fires only when popup is disabled (1-click mode)
-chrome.action.onClicked.addListener((tab) => {
+chrome.action.onClicked.addListener(async (tab) => {
+  await runtimeReady;
+
+  // Mid-capture, the icon pauses and resumes instead
+  if (isCaptureActive()) {
+    handleTogglePause();
+    return;
+  }
   if (tab.url?.startsWith('chrome://') || tab.url?.startsWith('chrome-extension://')) {
     chrome.action.setBadgeBackgroundColor({ color: '#C0392B' });
     chrome.action.setBadgeText({ text: 'X' });
@@ -53,53 +149,95 @@ chrome.action.onClicked.addListener((tab) => {
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   // Handlers that call sendResponse need the channel kept open (return true)
   const asyncHandlers = {
-    'get-capture-data': () => handleGetCaptureData(sendResponse),
     'get-progress': () => handleGetProgress(sendResponse),
-    'get-settings': () => handleGetSettings(sendResponse),
+    'get-settings': () => handleGetSettings(msg.url, sendResponse),
+    'get-presets': () => handleGetPresets(sendResponse),
+    'save-preset': () => handleSavePreset(msg.preset, sendResponse),
+    'remove-preset': () => handleRemovePreset(msg.id, sendResponse),
+    'set-active-preset': () => handleSetActivePreset(msg.id, sendResponse),
+    'import-presets': () => handleImportPresets(msg.presets, sendResponse),
+    'set-preset-sync': () => handleSetPresetSync(msg.enabled, sendResponse),
     'save-settings': () => handleSaveSettings(msg.settings, sendResponse),
+    'save-profile': () => handleSaveProfile(msg.profile, sendResponse),
+    'remove-profile': () => handleRemoveProfile(msg.id, sendResponse),
+    'get-schedules': () => handleGetSchedules(sendResponse),
+    'save-schedule': () => handleSaveSchedule(msg.schedule, sendResponse),
+    'remove-schedule': () => handleRemoveSchedule(msg.id, sendResponse),
   };
 
   // Fire-and-forget handlers — no sendResponse needed
   const fireHandlers = {
-    'start-capture': () => handleStartCapture(msg.tabId ?? sender.tab?.id),
+    'start-capture': () => handleStartCapture(msg.tabId ?? sender.tab?.id, msg.mode),
+    'start-responsive-capture': () => handleStartResponsiveCapture(msg.tabId ?? sender.tab?.id),
+    'start-batch': () => handleStartBatch(msg),
+    'start-picker': () => handleStartSelection(msg.tabId ?? sender.tab?.id, 'begin-element-picker'),
+    'start-region-select': () => handleStartSelection(msg.tabId ?? sender.tab?.id, 'begin-region-select'),
     'capture-viewport': () => handleCaptureViewport(msg, sender),
+    'capture-region': () => handleCaptureRegion(msg, sender),
+    'capture-waiting': () => handleCaptureWaiting(msg),
+    'capture-warming-up': () => handleCaptureWarmingUp(),
+    'capture-actions': () => handleCaptureActions(msg),
     'capture-complete': () => handleCaptureComplete(msg, sender),
+    'capture-error': () => handleCaptureError(msg, sender),
+    'pause-capture': () => handlePauseCapture(),
+    'resume-capture': () => handleResumeCapture(),
+    'stop-capture': () => handleStopCapture(),
+    'cancel-capture': () => handleCancelCapture(),
   };
 
+  // A restarted worker restores its capture state before handling anything
   if (asyncHandlers[msg.action]) {
-    asyncHandlers[msg.action]();
+    runtimeReady.then(asyncHandlers[msg.action]);
     return true;
   }
   if (fireHandlers[msg.action]) {
-    fireHandlers[msg.action]();
+    runtimeReady.then(fireHandlers[msg.action]);
     return false;
   }
 });
 
 // ── Capture Flow ────────────────────────────────────────────────────────────
 
-async function handleStartCapture(tabId) {
-  if (!tabId) return;
-
-  // Badge: show capturing state
-  chrome.action.setBadgeBackgroundColor({ color: '#D4762C' });
-  chrome.action.setBadgeText({ text: '...' });
+/**
+ * @param {number} tabId
+ * @param {string} [mode] - 'page' (default), 'element' for the picked element,
+ *   or 'region' for the dragged rectangle
+ */
+async function handleStartCapture(tabId, mode = 'page') {
+  await startCaptureRun(tabId, mode, false);
+}
 
-  const settings = await loadSettings();
-  captureState = {
+function createCaptureState(tabId, settings, mode) {
+  return {
     tabId,
     settings,
+    mode,
     captures: [],
     phase: 'measuring',
     totalScrolls: 0,
+    engine: 'scroll',
+    engineFallback: null,
     startTime: Date.now(),
   };
+}
+
+function sendBeginCapture(tabId) {
+  chrome.tabs.sendMessage(tabId, {
+    action: 'begin-scroll-capture',
+    settings: captureState.settings,
+    mode: captureState.mode,
+    engine: captureState.engine,
+    // Popup dismissal and pre-capture actions change the page: once per run
+    preparePage: !captureState.run || captureState.run.index === 0,
+  });
+}
 
+async function openProgressWindow() {
   // Open progress window near top-right of the current window
   try {
     const currentWindow = await chrome.windows.getCurrent();
     const winWidth = 300;
-    const winHeight = 100;
+    const winHeight = 140;
     const left = Math.max(0, (currentWindow.left + currentWindow.width) - winWidth - 20);
     const top = currentWindow.top + 80;
 
@@ -113,197 +251,1820 @@ async function handleStartCapture(tabId) {
       focused: false,
     });
     progressWindowId = progressWin.id;
+    persistRuntime();
   } catch (_) {
     // Progress window is optional — capture works without it
   }
+}
 
-  // Inject and run the content script capture routine
+/**
+ * Start an in-page selection UI — the element picker or region selector.
+ * It sends 'start-capture' (mode 'element' / 'region') once the user chooses.
+ */
+async function handleStartSelection(tabId, action) {
+  if (!tabId) return;
+
+  const settings = await loadSettings(await tabUrl(tabId));
+  await injectContentScript(tabId);
+  chrome.tabs.sendMessage(tabId, { action, settings }).catch(() => {});
+}
+
+async function injectContentScript(tabId) {
   try {
     await chrome.scripting.executeScript({
       target: { tabId },
-      files: ['content/content.js'],
+      files: ['content/consent-rules.js', 'lib/redaction.js', 'content/content.js'],
     });
   } catch (_) {
     // content script may already be injected
   }
-
-  chrome.tabs.sendMessage(tabId, {
-    action: 'begin-scroll-capture',
-    settings,
-  });
 }
 
 async function handleCaptureViewport(msg, sender) {
-  if (!captureState) return;
+  if (!isFromCaptureTab(sender)) return;
+
+  // A request the content script re-sent after a worker restart may already
+  // be answered or in hand
+  if (msg.seq <= (captureState.repliedSeq || 0) || msg.seq === captureState.inFlightSeq) return;
+  captureState.inFlightSeq = msg.seq;
 
   const tabId = sender.tab?.id ?? captureState.tabId;
+  const state = captureState;
 
-  // Track progress from content script
+  // Track progress from content script — the total moves on growing pages
   if (msg.totalScrolls) captureState.totalScrolls = msg.totalScrolls;
+  captureState.growing = !!msg.growing;
   captureState.phase = 'capturing';
 
-  // Enforce rate limit: Chrome allows max 2 captureVisibleTab calls/sec
-  const now = Date.now();
-  const elapsed = now - lastCaptureTime;
-  if (elapsed < MIN_CAPTURE_INTERVAL_MS) {
-    await new Promise(r => setTimeout(r, MIN_CAPTURE_INTERVAL_MS - elapsed));
-  }
-
   try {
-    lastCaptureTime = Date.now();
-    const dataUrl = await chrome.tabs.captureVisibleTab(null, {
-      format: 'png',
-      quality: 100,
-    });
+    const dataUrl = await captureVisibleViewport(tabId);
+    if (captureState !== state || !isCaptureActive()) return; // cancelled meanwhile
+    const frameId = await storeFrame(dataUrl);
+    if (captureState !== state || !isCaptureActive()) {
+      SessionStore.deleteFrames([frameId]).catch(() => {});
+      return;
+    }
 
-    captureState.captures.push({
-      dataUrl,
+    const capture = {
+      frameId,
+      scrollX: msg.scrollX || 0,
       scrollY: msg.scrollY,
       viewportHeight: msg.viewportHeight,
+      viewportWidth: msg.viewportWidth,
       clipHeight: msg.clipHeight,
+      clipWidth: msg.clipWidth,
+      viewportRect: msg.viewportRect || null,
       index: msg.index,
-    });
+    };
+
+    // A growing page re-captures its old last row — replace those frames
+    const existing = captureState.captures.findIndex(
+      c => c.scrollX === capture.scrollX && c.scrollY === capture.scrollY
+    );
+    if (existing >= 0) {
+      SessionStore.deleteFrames([captureState.captures[existing].frameId]).catch(() => {});
+      captureState.captures[existing] = capture;
+    } else {
+      captureState.captures.push(capture);
+    }
+    captureState.repliedSeq = msg.seq;
+    persistRuntime();
 
     // Tell content script to continue
     chrome.tabs.sendMessage(tabId, { action: 'next-scroll' });
   } catch (err) {
+    if (captureState !== state || !isCaptureActive()) return;
     console.error('captureVisibleTab failed:', err);
-    captureState.phase = 'error';
-    captureState.error = err.message;
-    chrome.tabs.sendMessage(tabId, { action: 'capture-error', error: err.message });
+    failCapture(tabId, err.message);
   }
 }
 
-async function handleCaptureComplete(msg, sender) {
-  if (!captureState) return;
+/**
+ * Capture the viewport. The DevTools engine has no rate limit; if it fails
+ * mid-capture the rest of the frames go through captureVisibleTab.
+ */
+async function captureVisibleViewport(tabId) {
+  if (captureState.engine === 'devtools') {
+    try {
+      const { data } = await chrome.debugger.sendCommand(
+        { tabId }, 'Page.captureScreenshot', { format: 'png' }
+      );
+      return 'data:image/png;base64,' + data;
+    } catch (err) {
+      // Emulation goes away with the debugger — nothing to fall back to
+      if (captureState.run?.emulated) throw err;
+      fallBackToScrollEngine(err.message);
+    }
+  }
 
-  captureState.phase = 'processing';
+  // Enforce rate limit: Chrome allows max 2 captureVisibleTab calls/sec
+  const elapsed = Date.now() - lastCaptureTime;
+  if (elapsed < MIN_CAPTURE_INTERVAL_MS) {
+    await new Promise(r => setTimeout(r, MIN_CAPTURE_INTERVAL_MS - elapsed));
+  }
+
+  // The tab's own window — batch and scheduled captures may not be focused
+  const { windowId } = await chrome.tabs.get(tabId);
+  lastCaptureTime = Date.now();
+  return chrome.tabs.captureVisibleTab(windowId, {
+    format: 'png',
+    quality: 100,
+  });
+}
+
+/** Write a frame to the run's session; resolves with its frameId. */
+async function storeFrame(dataUrl) {
+  const blob = await (await fetch(dataUrl)).blob();
+  return SessionStore.putFrame(captureState.run.sessionId, blob);
+}
+
+/**
+ * DevTools engine: capture the whole region in document coordinates with
+ * captureBeyondViewport — no scrolling, a handful of tiles instead of one
+ * frame per viewport. Tiles use the same capture shape as scrolled frames
+ * (the tile *is* the frame, so viewportRect starts at 0,0).
+ */
+async function handleCaptureRegion(msg, sender) {
+  if (!isFromCaptureTab(sender)) return;
+
+  // Fell back to scroll-and-stitch meanwhile (e.g. the worker restarted)
+  if (captureState.engine !== 'devtools') return;
 
   const tabId = sender.tab?.id ?? captureState.tabId;
-  const { captures, settings } = captureState;
-  const pageInfo = msg.pageInfo;
+  const { region } = msg;
 
-  try {
-    // Hold result in memory — viewer fetches via 'get-capture-data' message
-    lastCaptureResult = {
-      captures: captures.map(c => ({
-        dataUrl: c.dataUrl,
-        scrollY: c.scrollY,
-        viewportHeight: c.viewportHeight,
-        clipHeight: c.clipHeight,
-        index: c.index,
-      })),
-      pageInfo,
-      settings,
-      timestamp: Date.now(),
-      elapsedMs: Date.now() - captureState.startTime,
-    };
+  const tiles = [];
+  for (let y = 0; y < region.height; y += DEBUGGER_TILE_PX) {
+    for (let x = 0; x < region.width; x += DEBUGGER_TILE_PX) {
+      tiles.push({
+        x,
+        y,
+        width: Math.min(DEBUGGER_TILE_PX, region.width - x),
+        height: Math.min(DEBUGGER_TILE_PX, region.height - y),
+      });
+    }
+  }
 
-    // Signal done so progress window can show completion
-    captureState.phase = 'done';
+  const state = captureState;
+  captureState.totalScrolls = tiles.length;
+  captureState.phase = 'capturing';
 
-    // Open viewer — it will request the data via messaging
-    const viewerTab = await chrome.tabs.create({
-      url: chrome.runtime.getURL('viewer/viewer.html'),
-      active: true,
-    });
+  try {
+    for (let i = 0; i < tiles.length; i++) {
+      if (captureState !== state || !isCaptureActive()) return; // cancelled
+      const tile = tiles[i];
+      const { data } = await chrome.debugger.sendCommand({ tabId }, 'Page.captureScreenshot', {
+        format: 'png',
+        captureBeyondViewport: true,
+        clip: {
+          x: region.left + tile.x,
+          y: region.top + tile.y,
+          width: tile.width,
+          height: tile.height,
+          scale: 1,
+        },
+      });
 
-    // Ensure the window containing the viewer is focused (handles multi-window setups)
-    if (viewerTab.windowId) {
-      chrome.windows.update(viewerTab.windowId, { focused: true });
+      const frameId = await storeFrame('data:image/png;base64,' + data);
+      if (captureState !== state || !isCaptureActive()) {
+        SessionStore.deleteFrames([frameId]).catch(() => {});
+        return;
+      }
+      captureState.captures.push({
+        frameId,
+        scrollX: tile.x,
+        scrollY: tile.y,
+        viewportHeight: msg.viewportHeight,
+        viewportWidth: msg.viewportWidth,
+        clipHeight: tile.height,
+        clipWidth: tile.width,
+        viewportRect: { left: 0, top: 0, width: tile.width, height: tile.height },
+        index: i,
+      });
+      persistRuntime();
     }
 
-    // Tell content script we're done — restore page state
-    chrome.tabs.sendMessage(tabId, { action: 'capture-done' });
+    chrome.tabs.sendMessage(tabId, { action: 'region-captured' });
+  } catch (err) {
+    if (captureState !== state || !isCaptureActive()) return;
+    if (captureState.run?.emulated) {
+      failCapture(tabId, err.message);
+      return;
+    }
+    // Start over with the scroll-and-stitch walk from the content script
+    console.warn('Beyond-viewport capture failed, falling back:', err);
+    SessionStore.deleteFrames(captureState.captures.map(c => c.frameId)).catch(() => {});
+    captureState.captures = [];
+    fallBackToScrollEngine(err.message);
+    chrome.tabs.sendMessage(tabId, { action: 'fallback-scroll-capture' });
+  }
+}
+
+// A batch item that timed out may still report in after the next one started,
+// and a cancelled capture's page may still have a frame in flight
+function isFromCaptureTab(sender) {
+  if (!isCaptureActive()) return false;
+  return !sender.tab || sender.tab.id === captureState.tabId;
+}
+
+function handleCaptureWarmingUp() {
+  if (!isCaptureActive()) return;
+  captureState.phase = 'warming-up';
+  persistRuntime();
+}
+
+// Pre-capture action progress: the steps finished so far, failed ones included
+function handleCaptureActions(msg) {
+  if (!isCaptureActive()) return;
+  captureState.phase = 'preparing';
+  captureState.actions = { total: msg.total, steps: msg.steps };
+  persistRuntime();
+}
+
+function handleCaptureWaiting(msg) {
+  if (!isCaptureActive()) return;
+  captureState.phase = 'waiting';
+  captureState.waitAttempt = msg.attempt;
+  captureState.waitLimit = msg.limit;
+  persistRuntime();
+}
+
+/** The content script gave up (a step or page preparation threw). */
+function handleCaptureError(msg, sender) {
+  if (!isFromCaptureTab(sender)) return;
+  failCapture(captureState.tabId, msg.error || 'Capture failed in the page');
+}
+
+async function handleCaptureComplete(msg, sender) {
+  // A resent completion (after a worker restart) may race the original
+  if (!isFromCaptureTab(sender) || captureState.phase === 'processing') return;
+
+  captureState.phase = 'processing';
+
+  const tabId = sender.tab?.id ?? captureState.tabId;
+  const run = captureState.run;
+
+  try {
+    run.results.push(buildCaptureResult(msg.pageInfo));
+    persistRuntime();
 
-    // Badge: brief success indicator
-    chrome.action.setBadgeBackgroundColor({ color: '#27ae60' });
-    chrome.action.setBadgeText({ text: '✓' });
-    setTimeout(() => chrome.action.setBadgeText({ text: '' }), 3000);
+    // "Stop here" also skips the variants not yet captured
+    if (run.index + 1 < run.variants.length && !captureState.stopRequested) {
+      // Restore the page (keeping any picked element or region), then go again
+      chrome.tabs.sendMessage(tabId, { action: 'capture-done', keepSelection: true });
+      run.index++;
+      await captureVariant(tabId);
+      return;
+    }
 
-    // Close progress window after it has time to show "done"
-    closeProgressWindow(2000);
+    await finishRun(tabId);
   } catch (err) {
     console.error('Processing failed:', err);
-    if (captureState) {
-      captureState.phase = 'error';
-      captureState.error = err.message;
-    }
-    chrome.tabs.sendMessage(tabId, { action: 'capture-error', error: err.message });
-    chrome.action.setBadgeBackgroundColor({ color: '#C0392B' });
-    chrome.action.setBadgeText({ text: 'X' });
-    setTimeout(() => chrome.action.setBadgeText({ text: '' }), 4000);
-    closeProgressWindow(3000);
-  } finally {
-    // Delay nulling captureState so progress window can read the final state
-    setTimeout(() => { captureState = null; }, 3000);
+    failCapture(tabId, err.message);
   }
 }
 
-// ── Progress Window ──────────────────────────────────────────────────────────
+/**
+ * Wrap up the run with the variants captured so far: hand the data to the
+ * batch / schedule that started it, or save the session and open the viewer.
+ */
+async function finishRun(tabId) {
+  const run = captureState.run;
+  if (run.emulated) await clearEmulation(tabId);
 
-function handleGetProgress(sendResponse) {
-  if (!captureState) {
-    sendResponse({ phase: 'idle' });
+  const data = run.results.length > 1
+    ? {
+      variants: run.results,
+      settings: captureState.settings,
+      mode: captureState.mode,
+      timestamp: Date.now(),
+      elapsedMs: Date.now() - run.startTime,
+    }
+    : run.results[0];
+
+  // Batch items hand their data to the queue instead of opening a viewer
+  if (run.onFinish) {
+    const onFinish = run.onFinish;
+    run.onFinish = null;
+    captureState.phase = 'done';
+    chrome.tabs.sendMessage(tabId, { action: 'capture-done' });
+    detachDebugger(tabId);
+    releaseCaptureState(0);
+    onFinish(null, data);
     return;
   }
-  sendResponse({
-    phase: captureState.phase,
-    current: captureState.captures.length,
-    total: captureState.totalScrolls,
-    error: captureState.error || null,
+
+  await SessionStore.updateSession(run.sessionId, { status: 'done', data });
+
+  // Signal done so progress window can show completion
+  captureState.phase = 'done';
+  persistRuntime();
+
+  await openViewer(run.sessionId);
+
+  // Tell content script we're done — restore page state
+  chrome.tabs.sendMessage(tabId, { action: 'capture-done' });
+
+  // Badge: brief success indicator
+  chrome.action.setBadgeBackgroundColor({ color: '#27ae60' });
+  chrome.action.setBadgeText({ text: '✓' });
+  setTimeout(() => chrome.action.setBadgeText({ text: '' }), 3000);
+
+  // Close progress window after it has time to show "done"
+  closeProgressWindow(2000);
+  detachDebugger(tabId);
+  releaseCaptureState(3000);
+}
+
+/** Open the viewer on a stored session (it loads the data by ID). */
+async function openViewer(sessionId) {
+  const viewerTab = await chrome.tabs.create({
+    url: chrome.runtime.getURL(`viewer/viewer.html?session=${encodeURIComponent(sessionId)}`),
+    active: true,
   });
+
+  // Ensure the window containing the viewer is focused (handles multi-window setups)
+  if (viewerTab.windowId) {
+    chrome.windows.update(viewerTab.windowId, { focused: true });
+  }
 }
 
-function closeProgressWindow(delayMs = 0) {
-  if (!progressWindowId) return;
-  const winId = progressWindowId;
-  progressWindowId = null;
+/**
+ * Drop captureState after a delay, so the progress window can read the final
+ * state — unless another capture has started in the meantime.
+ */
+function releaseCaptureState(delayMs) {
+  const finished = captureState;
+  updateCaptureMenus();
   setTimeout(() => {
-    chrome.windows.remove(winId).catch(() => {});
+    if (captureState === finished) {
+      captureState = null;
+      persistRuntime();
+    }
   }, delayMs);
 }
 
-// ── Capture Data Handoff ─────────────────────────────────────────────────────
+/** Whether a capture is still running (a second one would clobber it). */
+function isCaptureActive() {
+  return !!captureState && !['done', 'error', 'cancelled'].includes(captureState.phase);
+}
 
-function handleGetCaptureData(sendResponse) {
-  const data = lastCaptureResult;
-  lastCaptureResult = null; // one-time read
-  sendResponse({ captureData: data });
+/** Snapshot the frames and page info of the capture that just finished. */
+function buildCaptureResult(pageInfo) {
+  return {
+    captures: captureState.captures.map(c => ({
+      frameId: c.frameId,
+      scrollX: c.scrollX,
+      scrollY: c.scrollY,
+      viewportHeight: c.viewportHeight,
+      viewportWidth: c.viewportWidth,
+      clipHeight: c.clipHeight,
+      clipWidth: c.clipWidth,
+      viewportRect: c.viewportRect,
+      index: c.index,
+    })),
+    pageInfo,
+    settings: captureState.settings,
+    mode: captureState.mode,
+    engine: captureState.engine,
+    engineFallback: captureState.engineFallback,
+    variant: describeVariant(),
+    timestamp: Date.now(),
+    elapsedMs: Date.now() - captureState.startTime,
+  };
 }
 
-// ── Settings ────────────────────────────────────────────────────────────────
+function failCapture(tabId, message) {
+  const onFinish = captureState?.run?.onFinish;
+  if (captureState) {
+    captureState.phase = 'error';
+    captureState.error = message;
+    discardRunFrames();
+    persistRuntime();
+  }
+  if (captureState?.run?.emulated) clearEmulation(tabId);
+  detachDebugger(tabId);
+  chrome.tabs.sendMessage(tabId, { action: 'capture-error', error: message });
 
-async function loadSettings() {
-  const stored = await chrome.storage.local.get('settings');
-  return { ...DEFAULT_SETTINGS, ...(stored.settings || {}) };
+  // Batch items report back to the queue, which retries or moves on
+  if (onFinish) {
+    captureState.run.onFinish = null;
+    releaseCaptureState(0);
+    onFinish(new Error(message));
+    return;
+  }
+
+  chrome.action.setBadgeBackgroundColor({ color: '#C0392B' });
+  chrome.action.setBadgeText({ text: 'X' });
+  setTimeout(() => chrome.action.setBadgeText({ text: '' }), 4000);
+  closeProgressWindow(3000);
+  releaseCaptureState(3000);
 }
 
-async function handleGetSettings(sendResponse) {
-  const settings = await loadSettings();
-  sendResponse({ settings });
+/**
+ * Delete the frames written by the current run. A standalone capture owns
+ * its session outright; batch items and scheduled runs share their caller's.
+ */
+function discardRunFrames() {
+  const { run, captures } = captureState;
+  if (!run?.sessionId) return;
+  if (!run.onFinish && !run.background) {
+    SessionStore.deleteSession(run.sessionId).catch(() => {});
+    return;
+  }
+  const frameIds = [...captures, ...run.results.flatMap(r => r.captures)].map(c => c.frameId);
+  SessionStore.deleteFrames(frameIds).catch(() => {});
 }
 
-async function handleSaveSettings(settings, sendResponse) {
-  const merged = { ...DEFAULT_SETTINGS, ...settings };
-  await chrome.storage.local.set({ settings: merged });
+// ── Capture Controls ────────────────────────────────────────────────────────
+//
+// Pause / resume / stop-here / cancel, from the progress window, the popup,
+// the toolbar icon's context menu and keyboard commands. The content script
+// does the holding and stopping at its next frame boundary; cancelling also
+// drops the frames here and, during a batch, the rest of the queue.
 
-  // Apply 1-click mode change immediately
-  if (merged.oneClickMode) {
-    chrome.action.setPopup({ popup: '' });
+const CAPTURE_MENU_ITEMS = [
+  { id: 'pause-capture', title: 'Pause capture' },
+  { id: 'resume-capture', title: 'Resume capture' },
+  { id: 'stop-capture', title: 'Stop here and keep frames' },
+  { id: 'cancel-capture', title: 'Cancel capture' },
+];
+
+function createCaptureMenus() {
+  chrome.contextMenus.removeAll(() => {
+    CAPTURE_MENU_ITEMS.forEach(({ id, title }) => {
+      chrome.contextMenus.create({ id, title, contexts: ['action'], enabled: false });
+    });
+  });
+}
+
+chrome.contextMenus.onClicked.addListener(async ({ menuItemId }) => {
+  await runtimeReady;
+  const handlers = {
+    'pause-capture': handlePauseCapture,
+    'resume-capture': handleResumeCapture,
+    'stop-capture': handleStopCapture,
+    'cancel-capture': handleCancelCapture,
+  };
+  handlers[menuItemId]?.();
+});
+
+/** Enable the icon's menu items that apply to the current capture. */
+function updateCaptureMenus() {
+  const active = isCaptureActive();
+  const paused = active && !!captureState.paused;
+  const enabled = {
+    'pause-capture': active && !paused,
+    'resume-capture': paused,
+    'stop-capture': active,
+    'cancel-capture': active || !!batchState,
+  };
+  Object.entries(enabled).forEach(([id, value]) => {
+    chrome.contextMenus.update(id, { enabled: value }).catch(() => {});
+  });
+}
+
+function handlePauseCapture() {
+  if (!isCaptureActive() || captureState.paused) return;
+  captureState.paused = true;
+  chrome.tabs.sendMessage(captureState.tabId, { action: 'pause-capture' }).catch(() => {});
+  chrome.action.setBadgeBackgroundColor({ color: '#D4762C' });
+  chrome.action.setBadgeText({ text: '❚❚' });
+  persistRuntime();
+  updateCaptureMenus();
+}
+
+function handleResumeCapture() {
+  if (!isCaptureActive() || !captureState.paused) return;
+  captureState.paused = false;
+  chrome.tabs.sendMessage(captureState.tabId, { action: 'resume-capture' }).catch(() => {});
+  // Scheduled runs have no badge of their own
+  const showsBadge = batchState || !captureState.run?.onFinish;
+  chrome.action.setBadgeText({ text: showsBadge ? '...' : '' });
+  persistRuntime();
+  updateCaptureMenus();
+}
+
+function handleTogglePause() {
+  if (captureState?.paused) {
+    handleResumeCapture();
   } else {
-    chrome.action.setPopup({ popup: 'popup/popup.html' });
+    handlePauseCapture();
   }
+}
 
-  sendResponse({ settings: merged });
+/** Finish with the frames captured so far (skipping any remaining variants). */
+function handleStopCapture() {
+  if (!isCaptureActive()) return;
+  captureState.stopRequested = true;
+  captureState.paused = false;
+  chrome.tabs.sendMessage(captureState.tabId, { action: 'stop-capture' }).catch(() => {});
+  persistRuntime();
+  updateCaptureMenus();
 }
 
-// ── Keyboard shortcut ───────────────────────────────────────────────────────
+/** Restore the page right away and discard everything captured. */
+function handleCancelCapture() {
+  if (batchState) batchState.cancelled = true;
+  if (!isCaptureActive()) return;
 
-chrome.commands?.onCommand?.addListener((command) => {
-  if (command === 'take-screenshot') {
-    chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
-      if (tab) handleStartCapture(tab.id);
+  const { tabId, run } = captureState;
+  captureState.phase = 'cancelled';
+  discardRunFrames();
+  captureState.captures = [];
+  persistRuntime();
+  chrome.tabs.sendMessage(tabId, { action: 'cancel-capture' }).catch(() => {});
+  if (run?.emulated) clearEmulation(tabId);
+  detachDebugger(tabId);
+
+  if (run?.onFinish) {
+    const onFinish = run.onFinish;
+    run.onFinish = null;
+    releaseCaptureState(0);
+    onFinish(new Error('Cancelled'));
+    return;
+  }
+
+  chrome.action.setBadgeText({ text: '' });
+  closeProgressWindow(1000);
+  releaseCaptureState(1000);
+}
+
+// ── Capture Runs ────────────────────────────────────────────────────────────
+
+/**
+ * Responsive capture: the page once per width in settings.responsiveWidths.
+ * Widths are emulated with Emulation.setDeviceMetricsOverride, so frames must
+ * come from the DevTools engine — captureVisibleTab sees the unemulated tab.
+ */
+async function handleStartResponsiveCapture(tabId) {
+  await startCaptureRun(tabId, 'page', true);
+}
+
+/**
+ * Every capture is a run of one or more variants: a width (responsive only)
+ * crossed with a color scheme (when settings.colorScheme isn't 'system').
+ * Plain captures are a run of one variant with nothing emulated.
+ *
+ * @param {Function} [onFinish] - (err, data) callback for batch items; when
+ *   given, no progress window or viewer is opened for this run
+ * @param {string} [sessionId] - session to write frames to (a batch's or a
+ *   scheduled run's); by default the run gets a session of its own
+ */
+async function startCaptureRun(tabId, mode, responsive, onFinish = null, sessionId = null) {
+  if (!tabId) return;
+
+  // One capture at a time — a second trigger would clobber captureState
+  if (isCaptureActive() || (batchState && !onFinish)) {
+    if (onFinish) {
+      onFinish(new Error('Another capture is already running'));
+      return;
+    }
+    chrome.action.setBadgeBackgroundColor({ color: '#C0392B' });
+    chrome.action.setBadgeText({ text: 'BUSY' });
+    setTimeout(() => chrome.action.setBadgeText({ text: batchState ? '...' : '' }), 2000);
+    return;
+  }
+
+  const settings = await loadSettings(await tabUrl(tabId));
+  captureState = createCaptureState(tabId, settings, mode);
+  updateCaptureMenus();
+
+  if (!onFinish) {
+    // Badge: show capturing state
+    chrome.action.setBadgeBackgroundColor({ color: '#D4762C' });
+    chrome.action.setBadgeText({ text: '...' });
+    await openProgressWindow();
+  }
+
+  const variants = buildVariants(settings, responsive);
+  const run = {
+    variants,
+    index: 0,
+    emulated: variants.some(v => v.width || v.colorScheme),
+    height: null,
+    engine: 'scroll',
+    engineFallback: null,
+    results: [],
+    startTime: Date.now(),
+    onFinish,
+    sessionId,
+  };
+  captureState.run = run;
+
+  if (!run.sessionId) {
+    const session = await SessionStore.createSession('capture', { tabId, mode });
+    run.sessionId = session.id;
+    SessionStore.pruneSessions(SESSIONS_KEPT).catch(() => {});
+  }
+  persistRuntime();
+
+  if (variants.length === 0) {
+    failCapture(tabId, 'No responsive widths configured');
+    return;
+  }
+
+  if (run.emulated) {
+    try {
+      await attachDebugger(tabId);
+      // Keep the tab's own viewport height at every width
+      const { cssLayoutViewport } = await chrome.debugger.sendCommand({ tabId }, 'Page.getLayoutMetrics');
+      run.height = cssLayoutViewport.clientHeight;
+    } catch (err) {
+      failCapture(tabId, `Emulation needs the debugger: ${err.message}`);
+      return;
+    }
+  }
+
+  if (settings.captureEngine === 'devtools' || responsive) {
+    try {
+      await attachDebugger(tabId);
+      run.engine = 'devtools';
+    } catch (err) {
+      // Another debugger (e.g. an open DevTools window) or a restricted page
+      run.engineFallback = err.message;
+    }
+  }
+
+  // Inject and run the content script capture routine
+  await injectContentScript(tabId);
+  await captureVariant(tabId).catch(err => failCapture(tabId, err.message));
+}
+
+function buildVariants(settings, responsive) {
+  const widths = responsive
+    ? [...new Set((settings.responsiveWidths || []).map(w => Math.round(w)))]
+      .filter(w => w > 0)
+      .sort((a, b) => a - b)
+    : [null];
+
+  const scheme = settings.colorScheme;
+  const schemes = scheme === 'both' ? ['light', 'dark']
+    : (scheme === 'light' || scheme === 'dark') ? [scheme]
+      : [null];
+
+  return widths.flatMap(width => schemes.map(colorScheme => ({ width, colorScheme })));
+}
+
+async function captureVariant(tabId) {
+  if (!isCaptureActive()) return; // cancelled while the run was being set up
+  const run = captureState.run;
+  const { width, colorScheme } = run.variants[run.index];
+
+  // Fresh capture state per variant; the run itself carries over
+  captureState = {
+    ...createCaptureState(tabId, captureState.settings, captureState.mode),
+    run,
+    engine: run.engine,
+    engineFallback: run.engineFallback,
+    actions: captureState.actions || null, // the first variant ran them
+  };
+
+  if (run.emulated) {
+    if (width) {
+      await chrome.debugger.sendCommand({ tabId }, 'Emulation.setDeviceMetricsOverride', {
+        width,
+        height: run.height,
+        deviceScaleFactor: 0, // keep the screen's own DPR
+        mobile: width <= MOBILE_MAX_WIDTH_PX,
+      });
+    }
+    if (colorScheme) {
+      await chrome.debugger.sendCommand({ tabId }, 'Emulation.setEmulatedMedia', {
+        features: [{ name: 'prefers-color-scheme', value: colorScheme }],
+      });
+    }
+    await new Promise(r => setTimeout(r, EMULATION_SETTLE_MS));
+    if (captureState?.run !== run || !isCaptureActive()) return;
+  }
+
+  persistRuntime();
+  sendBeginCapture(tabId);
+}
+
+/** What the current variant emulates, or null for an unemulated capture. */
+function describeVariant() {
+  const run = captureState.run;
+  if (!run?.emulated) return null;
+  const { width, colorScheme } = run.variants[run.index];
+  return {
+    width,
+    height: width ? run.height : null,
+    colorScheme,
+    index: run.index,
+    total: run.variants.length,
+  };
+}
+
+function clearEmulation(tabId) {
+  return Promise.all([
+    chrome.debugger.sendCommand({ tabId }, 'Emulation.clearDeviceMetricsOverride'),
+    chrome.debugger.sendCommand({ tabId }, 'Emulation.setEmulatedMedia', { features: [] }),
+  ]).catch(() => {});
+}
+
+// ── Batch Queue ─────────────────────────────────────────────────────────────
+
+let batchState = null;
+
+/**
+ * Capture several pages one after another — every tab in a window, the
+ * highlighted tabs, or a pasted URL list — then open one viewer for the lot.
+ * Each item is retried settings.batchRetries times before it is marked failed.
+ *
+ * @param {{ source: 'window'|'selected'|'urls', windowId?: number, urls?: string[] }} msg
+ */
+async function handleStartBatch(msg) {
+  if (batchState || isCaptureActive()) return;
+
+  const settings = await loadSettings();
+  const items = await resolveBatchItems(msg);
+  if (items.length === 0) {
+    chrome.action.setBadgeBackgroundColor({ color: '#C0392B' });
+    chrome.action.setBadgeText({ text: 'X' });
+    setTimeout(() => chrome.action.setBadgeText({ text: '' }), 2000);
+    return;
+  }
+
+  const [activeTab] = await chrome.tabs.query({ active: true, windowId: msg.windowId });
+  const session = await SessionStore.createSession('batch', { itemCaptures: {} });
+  SessionStore.pruneSessions(SESSIONS_KEPT).catch(() => {});
+  batchState = {
+    sessionId: session.id,
+    items,
+    index: 0,
+    retries: Math.max(0, settings.batchRetries ?? 1),
+    windowId: msg.windowId,
+    returnToTabId: activeTab?.id ?? null,
+    openedTabIds: [],
+    startTime: Date.now(),
+  };
+
+  updateCaptureMenus();
+  chrome.action.setBadgeBackgroundColor({ color: '#D4762C' });
+  chrome.action.setBadgeText({ text: '...' });
+  await openProgressWindow();
+  persistRuntime();
+
+  await runBatchQueue();
+}
+
+/** Work through the queue from batchState.index — also where a restarted worker picks up. */
+async function runBatchQueue() {
+  const { items } = batchState;
+  for (; batchState.index < items.length; batchState.index++) {
+    await runBatchItem(items[batchState.index], batchState.index);
+    persistRuntime();
+  }
+
+  await finishBatch();
+}
+
+async function resolveBatchItems({ source, windowId, urls }) {
+  if (source === 'urls') {
+    return (urls || [])
+      .filter(url => /^https?:\/\//i.test(url))
+      .map(url => createBatchItem({ url }));
+  }
+
+  const query = source === 'selected' ? { windowId, highlighted: true } : { windowId };
+  const tabs = await chrome.tabs.query(query);
+  return tabs
+    .filter(tab => isCapturableUrl(tab.url))
+    .map(tab => createBatchItem({ tabId: tab.id, url: tab.url, title: tab.title }));
+}
+
+function createBatchItem({ tabId = null, url, title = '' }) {
+  return { tabId, url, title, status: 'queued', attempts: 0, error: null };
+}
+
+function isCapturableUrl(url) {
+  return /^(https?|file):/i.test(url || '');
+}
+
+/**
+ * Captures go to the batch session as each page finishes (not kept here),
+ * so finished pages survive a worker restart.
+ */
+async function runBatchItem(item, index) {
+  while (item.status !== 'done' && item.attempts <= batchState.retries && !batchState.cancelled) {
+    item.attempts++;
+    item.status = item.attempts > 1 ? 'retrying' : 'capturing';
+    persistRuntime();
+    try {
+      const capture = await captureBatchItem(item);
+      await SessionStore.updateSession(batchState.sessionId, (session) => {
+        session.itemCaptures[index] = capture;
+      });
+      item.status = 'done';
+      item.error = null;
+    } catch (err) {
+      console.warn(`Batch item failed (attempt ${item.attempts}):`, item.url, err);
+      item.error = err.message;
+    }
+  }
+  if (item.status !== 'done') {
+    item.status = 'failed';
+    if (batchState.cancelled) item.error = 'Cancelled';
+  }
+}
+
+async function captureBatchItem(item) {
+  if (!item.tabId) {
+    const tab = await chrome.tabs.create({ url: item.url, windowId: batchState.windowId, active: false });
+    item.tabId = tab.id;
+    batchState.openedTabIds.push(tab.id);
+    persistRuntime();
+  }
+
+  // captureVisibleTab only sees the active tab
+  await chrome.tabs.update(item.tabId, { active: true });
+  await waitForTabLoad(item.tabId);
+  await new Promise(r => setTimeout(r, PAGE_SETTLE_MS));
+
+  const tab = await chrome.tabs.get(item.tabId);
+  item.url = tab.url;
+  item.title = tab.title;
+  if (!isCapturableUrl(tab.url)) throw new Error('Browser pages cannot be captured');
+  if (batchState.cancelled) throw new Error('Cancelled');
+
+  return captureTabInBackground(item.tabId, batchState.sessionId);
+}
+
+/**
+ * Whole-page capture of tabId without a progress window or viewer; resolves
+ * with the capture data, its frames written to sessionId. Used by the batch
+ * queue and scheduled captures.
+ */
+function captureTabInBackground(tabId, sessionId) {
+  return new Promise((resolve, reject) => {
+    const onTimeout = () => {
+      // Time spent paused doesn't count
+      if (captureState?.tabId === tabId && captureState.paused) {
+        timer = setTimeout(onTimeout, QUEUED_CAPTURE_TIMEOUT_MS);
+        return;
+      }
+      if (captureState?.tabId === tabId) failCapture(tabId, 'Capture timed out');
+      reject(new Error('Capture timed out'));
+    };
+    let timer = setTimeout(onTimeout, QUEUED_CAPTURE_TIMEOUT_MS);
+
+    startCaptureRun(tabId, 'page', false, (err, data) => {
+      clearTimeout(timer);
+      if (err) reject(err);
+      else resolve(data);
+    }, sessionId);
+  });
+}
+
+function waitForTabLoad(tabId) {
+  return new Promise((resolve, reject) => {
+    const done = (err) => {
+      clearTimeout(timer);
+      chrome.tabs.onUpdated.removeListener(listener);
+      if (err) reject(err);
+      else resolve();
+    };
+    const listener = (id, info) => {
+      if (id === tabId && info.status === 'complete') done();
+    };
+    const timer = setTimeout(() => done(new Error('Page load timed out')), PAGE_LOAD_TIMEOUT_MS);
+
+    chrome.tabs.onUpdated.addListener(listener);
+    chrome.tabs.get(tabId)
+      .then((tab) => { if (tab.status === 'complete') done(); })
+      .catch(done);
+  });
+}
+
+async function finishBatch() {
+  const { sessionId, items, openedTabIds, returnToTabId, startTime } = batchState;
+  const captured = items.filter(i => i.status === 'done').length;
+  const failed = items.length - captured;
+  const settings = await loadSettings();
+
+  await SessionStore.updateSession(sessionId, (session) => {
+    session.data = {
+      batch: {
+        items: items.map(({ url, title, status, attempts, error }, i) => ({
+          url, title, status, attempts, error, capture: session.itemCaptures[i] || null,
+        })),
+      },
+      settings,
+      timestamp: Date.now(),
+      elapsedMs: Date.now() - startTime,
+    };
+    session.itemCaptures = null;
+    session.status = 'done';
+  });
+  batchState = null;
+  updateCaptureMenus();
+  persistRuntime();
+
+  // Tidy up: close the tabs we opened, go back to where the user was
+  if (openedTabIds.length) chrome.tabs.remove(openedTabIds).catch(() => {});
+  if (returnToTabId) chrome.tabs.update(returnToTabId, { active: true }).catch(() => {});
+
+  chrome.notifications?.create({
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+    title: 'PageGobbler batch finished',
+    message: failed
+      ? `Gobbled ${captured} of ${items.length} pages — ${failed} failed.`
+      : `Gobbled all ${items.length} pages.`,
+  }).catch(() => {});
+
+  chrome.action.setBadgeBackgroundColor({ color: failed ? '#C0392B' : '#27ae60' });
+  chrome.action.setBadgeText({ text: failed ? `${failed}!` : '✓' });
+  setTimeout(() => chrome.action.setBadgeText({ text: '' }), 4000);
+  closeProgressWindow(2000);
+
+  await openViewer(sessionId);
+}
+
+function batchProgress() {
+  const { items, index } = batchState;
+  return {
+    index,
+    total: items.length,
+    captured: items.filter(i => i.status === 'done').length,
+    failed: items.filter(i => i.status === 'failed').length,
+    title: items[index]?.title || items[index]?.url || '',
+    attempt: items[index]?.attempts || 0,
+  };
+}
+
+// ── Scheduled Captures ──────────────────────────────────────────────────────
+//
+// Schedules live in chrome.storage.local ('schedules'), each with its recent
+// results; the last capture of each URL is kept as a baseline under
+// 'schedule-baseline:<id>' (visible text + a small grayscale thumbnail).
+// chrome.alarms drive the runs, and are re-created from storage on startup
+// since Chrome may drop them on browser restart.
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  await runtimeReady;
+  if (alarm.name.startsWith(SCHEDULE_ALARM_PREFIX)) {
+    runScheduledCapture(alarm.name.slice(SCHEDULE_ALARM_PREFIX.length));
+  } else if (alarm.name.startsWith(SCHEDULE_RETRY_PREFIX)) {
+    runScheduledCapture(alarm.name.slice(SCHEDULE_RETRY_PREFIX.length));
+  }
+});
+
+async function loadSchedules() {
+  const stored = await chrome.storage.local.get('schedules');
+  return stored.schedules || [];
+}
+
+async function saveSchedules(schedules) {
+  await chrome.storage.local.set({ schedules });
+}
+
+async function syncScheduleAlarms() {
+  const schedules = await loadSchedules();
+  const alarms = await chrome.alarms.getAll();
+  const wanted = new Set(schedules.filter(s => s.enabled).map(s => SCHEDULE_ALARM_PREFIX + s.id));
+
+  alarms
+    .filter(a => a.name.startsWith(SCHEDULE_ALARM_PREFIX) && !wanted.has(a.name))
+    .forEach(a => chrome.alarms.clear(a.name));
+
+  schedules.filter(s => s.enabled).forEach((schedule) => {
+    if (!alarms.some(a => a.name === SCHEDULE_ALARM_PREFIX + schedule.id)) {
+      createScheduleAlarm(schedule);
+    }
+  });
+
+  updateScheduleBadge(schedules);
+}
+
+function createScheduleAlarm(schedule) {
+  chrome.alarms.create(SCHEDULE_ALARM_PREFIX + schedule.id, {
+    delayInMinutes: schedule.intervalMinutes,
+    periodInMinutes: schedule.intervalMinutes,
+  });
+}
+
+async function handleGetSchedules(sendResponse) {
+  const schedules = await loadSchedules();
+
+  // Opening the list counts as having seen the changes
+  schedules.forEach((s) => { s.unseenChange = false; });
+  await saveSchedules(schedules);
+  updateScheduleBadge(schedules);
+
+  sendResponse({ schedules });
+}
+
+/**
+ * Add or update a schedule.
+ * @param {{ id?: string, url: string, intervalMinutes: number, thresholdPercent: number, enabled?: boolean }} input
+ */
+async function handleSaveSchedule(input, sendResponse) {
+  const schedules = await loadSchedules();
+  const existing = schedules.find(s => s.id === input.id);
+  const schedule = {
+    id: existing?.id || crypto.randomUUID(),
+    url: input.url,
+    intervalMinutes: Math.max(1, Number(input.intervalMinutes) || 60),
+    thresholdPercent: Number.isFinite(Number(input.thresholdPercent)) ? Math.max(0, Number(input.thresholdPercent)) : 5,
+    enabled: input.enabled !== false,
+    createdAt: existing?.createdAt || Date.now(),
+    lastRunAt: existing?.lastRunAt || null,
+    unseenChange: existing?.unseenChange || false,
+    history: existing?.history || [],
+  };
+
+  if (existing) {
+    schedules[schedules.indexOf(existing)] = schedule;
+  } else {
+    schedules.push(schedule);
+  }
+  await saveSchedules(schedules);
+
+  await chrome.alarms.clear(SCHEDULE_ALARM_PREFIX + schedule.id);
+  if (schedule.enabled) createScheduleAlarm(schedule);
+
+  sendResponse({ schedule });
+}
+
+async function handleRemoveSchedule(id, sendResponse) {
+  const schedules = (await loadSchedules()).filter(s => s.id !== id);
+  await saveSchedules(schedules);
+  await chrome.alarms.clear(SCHEDULE_ALARM_PREFIX + id);
+  await chrome.alarms.clear(SCHEDULE_RETRY_PREFIX + id);
+  await chrome.storage.local.remove(`schedule-baseline:${id}`);
+  updateScheduleBadge(schedules);
+  sendResponse({ schedules });
+}
+
+/**
+ * Capture a scheduled URL in its own unfocused window (captureVisibleTab can
+ * only see a window's active tab), compare it with the previous capture, and
+ * record the result. Changes beyond the threshold raise a notification.
+ */
+async function runScheduledCapture(id) {
+  const schedule = (await loadSchedules()).find(s => s.id === id);
+  if (!schedule?.enabled) return;
+
+  if (batchState || isCaptureActive()) {
+    chrome.alarms.create(SCHEDULE_RETRY_PREFIX + id, { delayInMinutes: SCHEDULE_BUSY_RETRY_MINUTES });
+    return;
+  }
+
+  const entry = { at: Date.now(), status: 'ok', changed: false, textChange: 0, imageChange: 0, error: null };
+  let title = schedule.url;
+  let sessionId = null;
+
+  try {
+    // Frames only live long enough to compute the image signature
+    sessionId = (await SessionStore.createSession('schedule', { scheduleId: id })).id;
+    const win = await chrome.windows.create({
+      url: schedule.url,
+      focused: false,
+      type: 'popup',
+      width: 1280,
+      height: 900,
+    });
+    scheduleWindowId = win.id;
+    persistRuntime();
+    const tabId = win.tabs[0].id;
+
+    await waitForTabLoad(tabId);
+    await new Promise(r => setTimeout(r, PAGE_SETTLE_MS));
+    title = (await chrome.tabs.get(tabId)).title || title;
+
+    const data = await captureTabInBackground(tabId, sessionId);
+    const set = data.variants ? data.variants[0] : data;
+    const snapshot = {
+      text: set.pageInfo.visibleText || '',
+      signature: await imageSignature(set),
+      capturedAt: Date.now(),
+    };
+
+    const key = `schedule-baseline:${id}`;
+    const previous = (await chrome.storage.local.get(key))[key];
+    if (previous) {
+      const diff = compareSnapshots(previous, snapshot);
+      Object.assign(entry, diff);
+      entry.changed = Math.max(diff.textChange, diff.imageChange) * 100 >= schedule.thresholdPercent;
+    } else {
+      entry.status = 'baseline';
+    }
+    await chrome.storage.local.set({ [key]: snapshot });
+  } catch (err) {
+    console.warn('Scheduled capture failed:', schedule.url, err);
+    entry.status = 'error';
+    entry.error = err.message;
+  } finally {
+    if (scheduleWindowId) chrome.windows.remove(scheduleWindowId).catch(() => {});
+    scheduleWindowId = null;
+    persistRuntime();
+    if (sessionId) SessionStore.deleteSession(sessionId).catch(() => {});
+  }
+
+  // Re-read: the list may have been edited while we were capturing
+  const schedules = await loadSchedules();
+  const current = schedules.find(s => s.id === id);
+  if (!current) return;
+  current.title = title;
+  current.lastRunAt = entry.at;
+  current.history = [entry, ...(current.history || [])].slice(0, SCHEDULE_HISTORY_LIMIT);
+  if (entry.changed) current.unseenChange = true;
+  await saveSchedules(schedules);
+  updateScheduleBadge(schedules);
+
+  if (entry.changed) {
+    chrome.notifications?.create(`schedule-change:${id}:${entry.at}`, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+      title: `Page changed: ${title}`,
+      message: `Text ${Math.round(entry.textChange * 100)}% · image ${Math.round(entry.imageChange * 100)}% different since the last capture.`,
+    }).catch(() => {});
+  }
+}
+
+function updateScheduleBadge(schedules) {
+  // Don't clobber capture feedback
+  if (captureState || batchState) return;
+  const changed = schedules.filter(s => s.unseenChange).length;
+  chrome.action.setBadgeBackgroundColor({ color: '#D4762C' });
+  chrome.action.setBadgeText({ text: changed ? String(changed) : '' });
+}
+
+/**
+ * Downscale the capture into a SIGNATURE_COLUMNS-wide grayscale thumbnail,
+ * placing frames the same way ImageProcessor.stitch does.
+ */
+async function imageSignature(set) {
+  const { captures, pageInfo } = set;
+  const dpr = pageInfo.devicePixelRatio || 1;
+  const region = pageInfo.captureRegion || { width: pageInfo.pageWidth, height: pageInfo.pageHeight };
+  const columns = SIGNATURE_COLUMNS;
+  const rows = Math.max(1, Math.min(SIGNATURE_MAX_ROWS, Math.round(region.height * (columns / region.width))));
+  const sx = columns / region.width;
+  const sy = rows / region.height;
+
+  const canvas = new OffscreenCanvas(columns, rows);
+  const ctx = canvas.getContext('2d');
+  for (const cap of captures) {
+    const bitmap = await createImageBitmap(await SessionStore.getFrame(cap.frameId));
+    const rect = cap.viewportRect;
+    ctx.drawImage(
+      bitmap,
+      rect.left * dpr, rect.top * dpr, cap.clipWidth * dpr, cap.clipHeight * dpr,
+      (cap.scrollX || 0) * sx, cap.scrollY * sy, cap.clipWidth * sx, cap.clipHeight * sy
+    );
+    bitmap.close();
+  }
+
+  const { data } = ctx.getImageData(0, 0, columns, rows);
+  const gray = [];
+  for (let i = 0; i < data.length; i += 4) {
+    gray.push(Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]));
+  }
+  return { columns, rows, gray };
+}
+
+/**
+ * How different two snapshots are, each as a 0–1 fraction: lines of visible
+ * text not shared by both, and thumbnail cells that changed noticeably (rows
+ * only one thumbnail has — the page grew or shrank — all count as changed).
+ */
+function compareSnapshots(previous, next) {
+  const before = previous.text.split('\n').map(l => l.trim()).filter(Boolean);
+  const after = next.text.split('\n').map(l => l.trim()).filter(Boolean);
+  const remaining = new Map();
+  before.forEach(line => remaining.set(line, (remaining.get(line) || 0) + 1));
+  const added = [];
+  after.forEach((line) => {
+    const count = remaining.get(line) || 0;
+    if (count > 0) {
+      remaining.set(line, count - 1);
+    } else {
+      added.push(line);
+    }
+  });
+  const removed = [];
+  remaining.forEach((count, line) => {
+    for (let i = 0; i < count; i++) removed.push(line);
+  });
+  const totalLines = Math.max(1, before.length + after.length);
+  const textChange = (added.length + removed.length) / totalLines;
+
+  const a = previous.signature;
+  const b = next.signature;
+  let imageChange = 1;
+  if (a && b && a.columns === b.columns) {
+    const sharedRows = Math.min(a.rows, b.rows);
+    let changedCells = Math.abs(a.rows - b.rows) * a.columns;
+    for (let i = 0; i < sharedRows * a.columns; i++) {
+      if (Math.abs(a.gray[i] - b.gray[i]) > SIGNATURE_PIXEL_DELTA) changedCells++;
+    }
+    imageChange = changedCells / (Math.max(a.rows, b.rows) * a.columns);
+  }
+
+  return {
+    textChange,
+    imageChange,
+    addedLines: added.slice(0, 10),
+    removedLines: removed.slice(0, 10),
+  };
+}
+
+// ── DevTools Engine ─────────────────────────────────────────────────────────
+
+let debuggerTabId = null;
+
+async function attachDebugger(tabId) {
+  if (debuggerTabId === tabId) return;
+  // Optional: granted from the popup the first time a capture needs it
+  if (!chrome.debugger) throw new Error('the debugger permission has not been granted');
+  watchDebuggerDetach();
+  await chrome.debugger.attach({ tabId }, DEBUGGER_PROTOCOL_VERSION);
+  debuggerTabId = tabId;
+  persistRuntime();
+}
+
+function detachDebugger(tabId) {
+  if (debuggerTabId !== tabId) return;
+  debuggerTabId = null;
+  persistRuntime();
+  chrome.debugger?.detach({ tabId }).catch(() => {});
+}
+
+function fallBackToScrollEngine(reason) {
+  if (!captureState || captureState.engine !== 'devtools') return;
+  captureState.engine = 'scroll';
+  captureState.engineFallback = reason;
+  detachDebugger(captureState.tabId);
+}
+
+// The user can dismiss the "started debugging" bar, which detaches us.
+// chrome.debugger only exists once the optional permission is granted, which
+// may be after the worker started.
+let watchingDebuggerDetach = false;
+
+function watchDebuggerDetach() {
+  if (watchingDebuggerDetach || !chrome.debugger) return;
+  watchingDebuggerDetach = true;
+  chrome.debugger.onDetach.addListener(async (source, reason) => {
+    await runtimeReady;
+    if (source.tabId !== debuggerTabId) return;
+    debuggerTabId = null;
+    if (captureState?.run?.emulated && captureState.phase !== 'done') {
+      failCapture(source.tabId, `Debugger detached (${reason})`);
+      return;
+    }
+    fallBackToScrollEngine(`Debugger detached (${reason})`);
+  });
+}
+
+watchDebuggerDetach();
+
+// ── Progress Window ──────────────────────────────────────────────────────────
+
+function handleGetProgress(sendResponse) {
+  const batch = batchState ? batchProgress() : null;
+
+  // Between batch items there is no capture, but the batch isn't done
+  if (batch && !isCaptureActive()) {
+    sendResponse({ phase: 'loading', current: 0, total: 0, batch });
+    return;
+  }
+  if (!captureState) {
+    sendResponse({ phase: 'idle' });
+    return;
+  }
+  sendResponse({
+    phase: captureState.phase,
+    current: captureState.captures.length,
+    total: captureState.totalScrolls,
+    growing: !!captureState.growing,
+    waitAttempt: captureState.waitAttempt || 0,
+    waitLimit: captureState.waitLimit || 0,
+    paused: !!captureState.paused,
+    stopping: !!captureState.stopRequested,
+    actions: captureState.actions || null,
+    variant: captureState.run ? describeVariant() : null,
+    batch,
+    // Batch items retry on error — the batch itself keeps going
+    error: batch ? null : captureState.error || null,
+  });
+}
+
+function closeProgressWindow(delayMs = 0) {
+  if (!progressWindowId) return;
+  const winId = progressWindowId;
+  progressWindowId = null;
+  persistRuntime();
+  setTimeout(() => {
+    chrome.windows.remove(winId).catch(() => {});
+  }, delayMs);
+}
+
+// ── Session Persistence ─────────────────────────────────────────────────────
+//
+// Module state dies with the worker. Everything needed to carry on — the
+// capture and batch state (frames are already in IndexedDB, referenced by
+// frameId) and the windows / debugger we hold — is mirrored to
+// chrome.storage.session, and restored before any event is handled.
+
+let scheduleWindowId = null; // background window of the scheduled run in flight
+let persistQueued = false;
+
+const runtimeReady = restoreRuntime()
+  .catch(err => console.warn('Could not restore capture state:', err));
+
+/** Write the runtime snapshot soon; calls in the same tick share one write. */
+function persistRuntime() {
+  if (persistQueued) return;
+  persistQueued = true;
+  setTimeout(() => {
+    persistQueued = false;
+    chrome.storage.session.set({ runtime: snapshotRuntime() }).catch((err) => {
+      console.warn('Could not persist capture state:', err);
+    });
+  }, 0);
+}
+
+function snapshotRuntime() {
+  const run = captureState?.run;
+  return {
+    // Callbacks can't be stored; `background` marks a batch / scheduled run
+    captureState: captureState && {
+      ...captureState,
+      run: run && { ...run, onFinish: null, background: !!(run.onFinish || run.background) },
+    },
+    batchState,
+    progressWindowId,
+    debuggerTabId,
+    scheduleWindowId,
+  };
+}
+
+async function restoreRuntime() {
+  const { runtime } = await chrome.storage.session.get('runtime');
+  if (!runtime) return;
+
+  captureState = runtime.captureState;
+  batchState = runtime.batchState;
+  if (captureState) captureState.inFlightSeq = null; // died with the old worker
+  progressWindowId = runtime.progressWindowId;
+  debuggerTabId = runtime.debuggerTabId;
+
+  // A scheduled run can't be picked up — its next alarm will try again
+  if (runtime.scheduleWindowId) chrome.windows.remove(runtime.scheduleWindowId).catch(() => {});
+
+  if (!isCaptureActive()) {
+    captureState = null;
+  } else if (captureState.run?.background) {
+    abandonInterruptedCapture();
+  } else {
+    resumeInterruptedCapture();
+  }
+
+  // The queue re-runs the page that was in flight
+  if (batchState) runBatchQueue();
+  updateCaptureMenus();
+  persistRuntime();
+}
+
+/** A batch page or scheduled run whose caller died with the old worker. */
+function abandonInterruptedCapture() {
+  const { tabId } = captureState;
+  chrome.tabs.sendMessage(tabId, { action: 'cancel-capture' }).catch(() => {});
+  discardRunFrames();
+  detachDebugger(tabId);
+  captureState = null;
+
+  // The interrupted attempt doesn't count against the page's retries
+  const item = batchState?.items[batchState.index];
+  if (item && item.attempts > 0) item.attempts--;
+}
+
+/**
+ * A standalone capture: the debugger session didn't survive the worker, so
+ * emulated variants end with what they have; anything else carries on with
+ * scroll-and-stitch, the content script re-sending whatever reply it lost.
+ */
+function resumeInterruptedCapture() {
+  const { tabId, run } = captureState;
+  const reason = 'Service worker restarted';
+  detachDebugger(tabId);
+
+  if (run.emulated) {
+    if (!run.results.length) {
+      failCapture(tabId, `Capture interrupted (${reason.toLowerCase()})`);
+      return;
+    }
+    chrome.tabs.sendMessage(tabId, { action: 'cancel-capture' }).catch(() => {});
+    SessionStore.deleteFrames(captureState.captures.map(c => c.frameId)).catch(() => {});
+    captureState.phase = 'processing';
+    finishRun(tabId).catch(err => failCapture(tabId, err.message));
+    return;
+  }
+
+  // Died while processing: drop the half-recorded result, the page info is re-sent
+  if (captureState.phase === 'processing') {
+    run.results.length = Math.min(run.results.length, run.index);
+    captureState.phase = 'capturing';
+  }
+  if (captureState.engine === 'devtools') {
+    captureState.engine = 'scroll';
+    captureState.engineFallback = reason;
+    run.engine = 'scroll';
+    run.engineFallback = reason;
+  }
+  chrome.tabs.sendMessage(tabId, { action: 'resume-after-restart' }).catch(() => {});
+}
+
+// ── Settings ────────────────────────────────────────────────────────────────
+
+/**
+ * The settings a capture uses: the global settings, then the best-matching
+ * profile for `url` (if any), then the active preset — picked for the job
+ * at hand, so its compression and output choices win.
+ */
+async function loadSettings(url) {
+  let settings = await loadGlobalSettings();
+  const profile = url ? matchProfile(await loadProfiles(), url) : null;
+  if (profile) settings = applyProfile(settings, profile);
+  const preset = await loadActivePreset();
+  if (preset) settings = { ...settings, ...preset.settings, preset: { id: preset.id, name: preset.name } };
+  return settings;
+}
+
+async function loadGlobalSettings() {
+  const stored = await chrome.storage.local.get('settings');
+  return { ...DEFAULT_SETTINGS, ...(stored.settings || {}) };
+}
+
+/** The popup shows global settings, and which profile the page would use. */
+async function handleGetSettings(url, sendResponse) {
+  const settings = await loadGlobalSettings();
+  const profile = url ? matchProfile(await loadProfiles(), url) : null;
+  sendResponse({ settings, profile });
+}
+
+async function tabUrl(tabId) {
+  try {
+    return (await chrome.tabs.get(tabId)).url;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Fields the sender doesn't know about (the library page's retention
+// settings, say) keep their stored values
+async function handleSaveSettings(settings, sendResponse) {
+  const merged = { ...(await loadGlobalSettings()), ...settings };
+  await chrome.storage.local.set({ settings: merged });
+
+  // Apply 1-click mode change immediately
+  if (merged.oneClickMode) {
+    chrome.action.setPopup({ popup: '' });
+  } else {
+    chrome.action.setPopup({ popup: 'popup/popup.html' });
+  }
+
+  sendResponse({ settings: merged });
+}
+
+// ── Site Profiles ───────────────────────────────────────────────────────────
+//
+// A profile overrides any settings field for the pages its pattern matches,
+// and adds selectors to hide there. Patterns:
+//   example.com               exact host (www. ignored)
+//   *.example.com             the domain and any subdomain
+//   example.com/docs/*        URL pattern: host + path (+ query); * matches anything;
+//                             with a scheme (https://...) it matches the whole URL
+// The most specific match wins: URL pattern, then exact host, then the
+// longest wildcard domain.
+
+async function loadProfiles() {
+  const { profiles } = await chrome.storage.local.get('profiles');
+  return profiles || [];
+}
+
+function matchProfile(profiles, url) {
+  let best = null;
+  let bestScore = 0;
+  for (const profile of profiles) {
+    const score = profileScore(profile.pattern, url);
+    if (score > bestScore) {
+      best = profile;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// 0 = no match; higher = more specific
+function profileScore(pattern, url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (_) {
+    return 0;
+  }
+  const host = parsed.hostname.replace(/^www\./, '');
+  const p = pattern.trim().toLowerCase();
+
+  if (p.includes('/')) {
+    const target = p.includes('://')
+      ? url.toLowerCase()
+      : `${host}${parsed.pathname}${parsed.search}`.toLowerCase();
+    return globToRegExp(p.replace(/^www\./, '')).test(target) ? 3000 + p.length : 0;
+  }
+  if (p.startsWith('*.')) {
+    const domain = p.slice(2);
+    return host === domain || host.endsWith(`.${domain}`) ? 1000 + domain.length : 0;
+  }
+  return host === p.replace(/^www\./, '') ? 2000 : 0;
+}
+
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+function applyProfile(settings, profile) {
+  const merged = { ...settings, ...profile.overrides };
+  merged.fixedElementRules = [
+    ...(merged.fixedElementRules || []),
+    ...(profile.hideSelectors || []).map(selector => ({ policy: 'hide', selector })),
+  ];
+  merged.profile = { id: profile.id, pattern: profile.pattern };
+  return merged;
+}
+
+/** Create or replace (by id, else by pattern) a profile. */
+async function handleSaveProfile(profile, sendResponse) {
+  const profiles = await loadProfiles();
+  const pattern = (profile.pattern || '').trim();
+  if (!pattern) {
+    sendResponse({ error: 'A profile needs a host or URL pattern.' });
+    return;
+  }
+
+  const overrides = { ...profile.overrides };
+  GLOBAL_ONLY_SETTINGS.forEach(key => delete overrides[key]);
+
+  const existing = profiles.find(p => p.id === profile.id) ||
+    profiles.find(p => p.pattern.toLowerCase() === pattern.toLowerCase());
+  const saved = {
+    id: existing?.id || crypto.randomUUID(),
+    pattern,
+    overrides,
+    hideSelectors: (profile.hideSelectors || []).filter(Boolean),
+    updatedAt: Date.now(),
+  };
+  const next = existing ? profiles.map(p => (p === existing ? saved : p)) : [...profiles, saved];
+  await chrome.storage.local.set({ profiles: next });
+  sendResponse({ profile: saved });
+}
+
+async function handleRemoveProfile(id, sendResponse) {
+  const profiles = await loadProfiles();
+  await chrome.storage.local.set({ profiles: profiles.filter(p => p.id !== id) });
+  sendResponse({ ok: true });
+}
+
+// ── Presets ─────────────────────────────────────────────────────────────────
+//
+// Named bundles of PRESET_FIELDS for different jobs, managed on the options
+// page and picked in the popup (or by the preset-N commands, in list order).
+// Each is stored as its own item, in chrome.storage.sync when syncing is on
+// and chrome.storage.local otherwise; the active one is per device.
+
+const STARTER_PRESETS = [
+  {
+    name: 'AI agent',
+    settings: {
+      compressionStrategy: 'aggressive', maxFileSizeMB: 1, enableSections: true, enableOCR: true,
+      zipArtifacts: {
+        ...DEFAULT_SETTINGS.zipArtifacts,
+        assets: false, designTokens: false, styles: false, resources: false, console: false,
+      },
+    },
+  },
+  {
+    name: 'Evidence archive',
+    settings: {
+      compressionStrategy: 'lossless', maxFileSizeMB: 20, enableSections: false, enableOCR: true, dismissPopups: false,
+      zipArtifacts: { ...DEFAULT_SETTINGS.zipArtifacts },
+    },
+  },
+  {
+    name: 'Design handoff',
+    settings: {
+      compressionStrategy: 'lossless', maxFileSizeMB: 20, enableSections: true, colorScheme: 'both',
+      zipArtifacts: {
+        ...DEFAULT_SETTINGS.zipArtifacts,
+        text: false, structuredData: false, forms: false, links: false, console: false,
+      },
+    },
+  },
+];
+
+/** On first install, offer the three jobs the presets were made for. */
+async function seedPresets() {
+  const { presetsSeeded } = await chrome.storage.local.get('presetsSeeded');
+  if (presetsSeeded) return;
+  await chrome.storage.local.set({ presetsSeeded: true });
+  if ((await loadPresets()).length) return;
+  const now = Date.now();
+  for (const [i, starter] of STARTER_PRESETS.entries()) {
+    await writePreset({ ...starter, id: crypto.randomUUID(), createdAt: now + i });
+  }
+}
+
+async function presetArea() {
+  const { presetSync } = await chrome.storage.local.get('presetSync');
+  return presetSync ? chrome.storage.sync : chrome.storage.local;
+}
+
+async function loadPresets(area) {
+  const all = await (area || await presetArea()).get(null);
+  // Synced presets may have been written elsewhere: only valid fields apply
+  return Object.entries(all)
+    .filter(([key]) => key.startsWith(PRESET_KEY_PREFIX))
+    .map(([, preset]) => ({ ...preset, settings: presetSettings(preset.settings) }))
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+async function loadActivePreset() {
+  const { activePresetId } = await chrome.storage.local.get('activePresetId');
+  if (!activePresetId) return null;
+  return (await loadPresets()).find(p => p.id === activePresetId) || null;
+}
+
+async function writePreset(preset, area) {
+  await (area || await presetArea()).set({ [PRESET_KEY_PREFIX + preset.id]: preset });
+}
+
+/**
+ * Only the fields a preset may carry, with valid values; the names of the
+ * rest are added to `invalid`. zipArtifacts is filled out to every artifact.
+ */
+function presetSettings(raw, invalid = []) {
+  const settings = {};
+  for (const [key, isValid] of Object.entries(PRESET_FIELDS)) {
+    const value = raw?.[key];
+    if (value === undefined) continue;
+    if (isValid(value)) {
+      settings[key] = value;
+    } else {
+      invalid.push(key);
+    }
+  }
+  if (settings.zipArtifacts) {
+    settings.zipArtifacts = { ...DEFAULT_SETTINGS.zipArtifacts, ...settings.zipArtifacts };
+  }
+  return settings;
+}
+
+function sanitizePreset(preset, invalid = []) {
+  return {
+    id: preset.id || crypto.randomUUID(),
+    name: String(preset.name || '').trim().slice(0, 60),
+    settings: presetSettings(preset.settings, invalid),
+    createdAt: preset.createdAt || Date.now(),
+  };
+}
+
+async function handleGetPresets(sendResponse) {
+  const [presets, local] = await Promise.all([
+    loadPresets(),
+    chrome.storage.local.get(['activePresetId', 'presetSync']),
+  ]);
+  sendResponse({
+    presets,
+    activePresetId: local.activePresetId || null,
+    sync: !!local.presetSync,
+  });
+}
+
+async function handleSavePreset(preset, sendResponse) {
+  const invalid = [];
+  const saved = sanitizePreset(preset || {}, invalid);
+  if (!saved.name) {
+    sendResponse({ error: 'A preset needs a name.' });
+    return;
+  }
+  if (invalid.length) {
+    sendResponse({ error: `Invalid value for ${invalid.join(', ')}.` });
+    return;
+  }
+  try {
+    await writePreset(saved);
+    sendResponse({ preset: saved });
+  } catch (err) {
+    sendResponse({ error: err.message }); // sync quota
+  }
+}
+
+async function handleRemovePreset(id, sendResponse) {
+  await (await presetArea()).remove(PRESET_KEY_PREFIX + id);
+  const { activePresetId } = await chrome.storage.local.get('activePresetId');
+  if (activePresetId === id) await chrome.storage.local.remove('activePresetId');
+  sendResponse({ ok: true });
+}
+
+async function handleSetActivePreset(id, sendResponse) {
+  if (id) {
+    await chrome.storage.local.set({ activePresetId: id });
+  } else {
+    await chrome.storage.local.remove('activePresetId');
+  }
+  sendResponse({ ok: true });
+}
+
+/**
+ * Presets from an exported file; one with the same name as an existing preset
+ * replaces it. Invalid fields are left out, and listed per preset in `dropped`.
+ */
+async function handleImportPresets(presets, sendResponse) {
+  if (!Array.isArray(presets)) {
+    sendResponse({ error: 'Not a PageGobbler presets file.' });
+    return;
+  }
+  const existing = await loadPresets();
+  let imported = 0;
+  const dropped = [];
+  try {
+    for (const [i, raw] of presets.entries()) {
+      const match = existing.find(p => p.name === String(raw?.name || '').trim());
+      const invalid = [];
+      const preset = sanitizePreset({
+        ...raw,
+        id: match?.id,
+        createdAt: match?.createdAt || Date.now() + i,
+      }, invalid);
+      if (!preset.name) continue;
+      await writePreset(preset);
+      imported++;
+      if (invalid.length) dropped.push(`${preset.name} (${invalid.join(', ')})`);
+    }
+    sendResponse({ imported, dropped });
+  } catch (err) {
+    sendResponse({ imported, dropped, error: err.message });
+  }
+}
+
+/** Move every preset to the newly chosen storage area. */
+async function handleSetPresetSync(enabled, sendResponse) {
+  const from = await presetArea();
+  const to = enabled ? chrome.storage.sync : chrome.storage.local;
+  if (from === to) {
+    sendResponse({ ok: true });
+    return;
+  }
+  try {
+    const presets = await loadPresets(from);
+    for (const preset of presets) await writePreset(preset, to);
+    await chrome.storage.local.set({ presetSync: !!enabled });
+    await from.remove(presets.map(p => PRESET_KEY_PREFIX + p.id));
+    sendResponse({ ok: true });
+  } catch (err) {
+    sendResponse({ error: err.message });
+  }
+}
+
+/** preset-N: make the Nth preset active, then gobble the current page with it. */
+async function runPresetCommand(command) {
+  const index = parseInt(command.slice(PRESET_COMMAND_PREFIX.length), 10) - 1;
+  const preset = (await loadPresets())[index];
+  if (!preset) return;
+  await chrome.storage.local.set({ activePresetId: preset.id });
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (tab) handleStartCapture(tab.id);
+}
+
+// ── Keyboard shortcut ───────────────────────────────────────────────────────
+
+chrome.commands?.onCommand?.addListener(async (command) => {
+  await runtimeReady;
+  if (command === 'take-screenshot') {
+    chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+      if (tab) handleStartCapture(tab.id);
+    });
+  } else if (command === 'pick-element') {
+    chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+      if (tab) handleStartSelection(tab.id, 'begin-element-picker');
+    });
+  } else if (command === 'select-region') {
+    chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+      if (tab) handleStartSelection(tab.id, 'begin-region-select');
     });
+  } else if (command === 'pause-capture') {
+    handleTogglePause();
+  } else if (command === 'stop-capture') {
+    handleStopCapture();
+  } else if (command === 'cancel-capture') {
+    handleCancelCapture();
+  } else if (command.startsWith(PRESET_COMMAND_PREFIX)) {
+    runPresetCommand(command);
   }
 });
@@ -0,0 +1,173 @@
+/**
+ * PageGobbler — Consent & Popup Rules
+ * The bundled rule set the content script uses to get cookie-consent
+ * banners, newsletter modals and chat launchers out of the way before a
+ * capture. Injected just ahead of content.js; nothing here is fetched.
+ *   - cmps:    known consent-management platforms — the banner, the button
+ *              that rejects (or closes) it, and what to hide if there's none
+ *   - widgets: chat launchers and similar floating widgets, hidden outright
+ *   - buttons: reject / close button text, tried inside detected overlays
+ *   - consentText: marks a fixed element as a consent banner, if it is also
+ *              banner-shaped and has a reject / close button
+ *   - banner:  what counts as banner-shaped (a bar along the top or bottom
+ *              of the viewport, or a dialog)
+ *   - overlay: what counts as a page-blocking overlay (fixed, covering the
+ *              viewport, stacked above the page)
+ */
+
+window.__gobbleConsentRules = {
+  cmps: [
+    {
+      name: 'onetrust',
+      banner: '#onetrust-banner-sdk, #onetrust-pc-sdk',
+      reject: '#onetrust-reject-all-handler, .ot-pc-refuse-all-handler, .onetrust-close-btn-handler',
+      hide: '#onetrust-consent-sdk',
+    },
+    {
+      name: 'cookiebot',
+      banner: '#CybotCookiebotDialog',
+      reject: '#CybotCookiebotDialogBodyButtonDecline, #CybotCookiebotDialogBodyLevelButtonLevelOptinDeclineAll',
+      hide: '#CybotCookiebotDialog, #CybotCookiebotDialogBodyUnderlay',
+    },
+    {
+      name: 'didomi',
+      banner: '#didomi-notice, #didomi-popup',
+      reject: '#didomi-notice-disagree-button, .didomi-continue-without-agreeing',
+      hide: '#didomi-host',
+    },
+    {
+      name: 'quantcast',
+      banner: '.qc-cmp2-container',
+      reject: '.qc-cmp2-summary-buttons button[mode="secondary"]',
+      hide: '.qc-cmp2-container',
+    },
+    {
+      name: 'trustarc',
+      banner: '#truste-consent-track, #consent_blackbar, .truste_overlay',
+      reject: '#truste-consent-required',
+      hide: '#truste-consent-track, #consent_blackbar, .truste_box_overlay, .truste_overlay',
+    },
+    {
+      name: 'usercentrics',
+      banner: '#usercentrics-root, #usercentrics-cmp-ui',
+      reject: null, // renders in a shadow root
+      hide: '#usercentrics-root, #usercentrics-cmp-ui',
+    },
+    {
+      name: 'sourcepoint',
+      banner: '[id^="sp_message_container"]',
+      reject: null, // cross-origin iframe
+      hide: '[id^="sp_message_container"]',
+    },
+    {
+      name: 'google-funding-choices',
+      banner: '.fc-consent-root',
+      reject: '.fc-cta-do-not-consent, .fc-close',
+      hide: '.fc-consent-root',
+    },
+    {
+      name: 'cookieyes',
+      banner: '.cky-consent-container, .cky-modal',
+      reject: '.cky-btn-reject, .cky-banner-btn-close',
+      hide: '.cky-consent-container, .cky-overlay, .cky-modal',
+    },
+    {
+      name: 'complianz',
+      banner: '#cmplz-cookiebanner-container .cmplz-cookiebanner',
+      reject: '.cmplz-deny, .cmplz-close',
+      hide: '#cmplz-cookiebanner-container',
+    },
+    {
+      name: 'osano',
+      banner: '.osano-cm-dialog',
+      reject: '.osano-cm-denyAll, .osano-cm-dialog__close',
+      hide: '.osano-cm-window',
+    },
+    {
+      name: 'iubenda',
+      banner: '#iubenda-cs-banner',
+      reject: '.iubenda-cs-reject-btn, .iubenda-cs-close-btn',
+      hide: '#iubenda-cs-banner',
+    },
+    {
+      name: 'klaro',
+      banner: '.klaro .cookie-notice, .klaro .cookie-modal',
+      reject: '.klaro .cn-decline',
+      hide: '.klaro',
+    },
+    {
+      name: 'borlabs',
+      banner: '#BorlabsCookieBox',
+      reject: '#BorlabsCookieBox a[data-cookie-refuse]',
+      hide: '#BorlabsCookieBox',
+    },
+    {
+      name: 'hubspot-cookie-banner',
+      banner: '#hs-eu-cookie-confirmation',
+      reject: '#hs-eu-decline-button',
+      hide: '#hs-eu-cookie-confirmation',
+    },
+    {
+      name: 'termly',
+      banner: '#termly-code-snippet-support',
+      reject: '[data-tid="banner-decline"]',
+      hide: '#termly-code-snippet-support',
+    },
+    {
+      name: 'cookieconsent',
+      banner: '.cc-window',
+      reject: '.cc-deny, .cc-dismiss',
+      hide: '.cc-window, .cc-revoke',
+    },
+  ],
+
+  widgets: [
+    { name: 'intercom', selector: '#intercom-container, .intercom-lightweight-app, .intercom-launcher-frame' },
+    { name: 'hubspot-chat', selector: '#hubspot-messages-iframe-container' },
+    { name: 'drift', selector: '#drift-widget-container, #drift-frame-controller, #drift-frame-chat' },
+    { name: 'zendesk', selector: 'iframe#launcher, iframe#webWidget' },
+    { name: 'crisp', selector: '.crisp-client' },
+    { name: 'tidio', selector: '#tidio-chat' },
+    { name: 'freshchat', selector: '#fc_frame' },
+    { name: 'tawk', selector: 'iframe[title="chat widget"]' },
+    { name: 'livechat', selector: '#chat-widget-container' },
+    { name: 'facebook-chat', selector: '.fb_dialog, .fb-customerchat' },
+  ],
+
+  // Whole (trimmed) button text; reject is preferred over close
+  buttons: {
+    reject: [
+      /^(reject|decline|deny|refuse)( all)?( cookies)?$/i,
+      /^(only|use only|accept only) (necessary|essential|required)( cookies)?$/i,
+      /^(necessary|essential) (cookies )?only$/i,
+      /^continue without (accepting|agreeing)$/i,
+      /^(alle )?ablehnen$/i,
+      /^nur (notwendige|erforderliche|essenzielle)( cookies)?$/i,
+      /^(tout )?refuser$/i,
+      /^continuer sans accepter$/i,
+      /^rechazar( todo| todas)?$/i,
+      /^rifiuta( tutto| tutti)?$/i,
+      /^(alles |alle )?weigeren$/i,
+      /^rejeitar( tudo| todos)?$/i,
+      /^odrzuć( wszystko)?$/i,
+    ],
+    close: [
+      /^(close|dismiss|no,? thanks|not now|maybe later|skip)$/i,
+      /^[×✕✖x]$/i,
+      /^(schließen|fermer|cerrar|chiudi|sluiten|fechar|zamknij)$/i,
+    ],
+  },
+
+  consentText: /\b(cookies?|consent|gdpr|privacy (settings|preferences))\b|datenschutz|einwilligung|rgpd/i,
+
+  banner: {
+    maxHeight: 0.6,   // share of the viewport's height
+    edgeMargin: 0.1,  // a bar starts or ends this close to the viewport's edge
+    minBarWidth: 0.5, // share of the viewport's width
+  },
+
+  overlay: {
+    minCoverage: 0.9, // share of the viewport's width and height
+    minZIndex: 100,
+  },
+};
@@ -2,15 +2,37 @@
  * PageGobbler — Content Script
  * Injected on demand (not auto-injected) into the target page. Handles:
  *   - Measuring full page dimensions
- *   - Scrolling through the page viewport-by-viewport
- *   - Signaling the background to capture each viewport
- *   - Collecting page context metadata (title, URL, headings, meta)
- *   - Hiding fixed/sticky elements after first capture to avoid duplication
+ *   - Detecting inner scroll containers (apps that keep html/body fixed)
+ *   - Scrolling through the page viewport-by-viewport (or a 2D tile grid
+ *     when full-width capture is on and the page is wider than the viewport)
+ *   - Element picker: hover highlighter + arrow-key DOM walking to gobble
+ *     a single element (page info is then scoped to that subtree)
+ *   - Region selector: drag a rectangle (auto-scrolling past the fold) and
+ *     gobble only that part of the page
+ *   - Following pages that grow while scrolled (infinite feeds), bounded by
+ *     configurable stop conditions
+ *   - Signaling the background to capture each viewport, or — with the
+ *     DevTools engine — to capture the whole region beyond the viewport
+ *   - Collecting page context metadata (title, URL, headings, meta), and
+ *     the boxes of headings, links, controls, images and landmarks
+ *   - Managing fixed/sticky elements per policy (show once at top/bottom,
+ *     hide, leave, or unstick in place) so they don't repeat in every frame
  *   - Capturing console output ONLY during active capture
+ *   - Pausing, stopping early (keeping the frames so far) or cancelling on
+ *     request from the background
+ *   - Dismissing cookie-consent banners, newsletter modals and chat
+ *     launchers (bundled rules in consent-rules.js), then running the page's
+ *     pre-capture action list (click, wait, type, scroll, remove), before
+ *     anything is measured — reporting what fired and each step
+ *   - Finding personal data and secrets (detectors in lib/redaction.js,
+ *     plus listed selectors) and where they sit, so the viewer can mask them
  *
  * IMPORTANT: Chrome enforces a hard limit of 2 captureVisibleTab calls/sec.
  * The background worker handles this, but we add a 350ms settle delay here
- * to ensure repaint completes before signaling capture.
+ * to ensure repaint completes before signaling capture. With readiness waits
+ * on, each frame also waits (with timeouts) for fonts, in-view image decodes
+ * and a quiet DOM; an optional warm-up pass scrolls the page first so lazy
+ * loaders fire before the real capture.
  */
 
 (() => {
@@ -18,16 +40,95 @@
   window.__gobbleInjected = true;
 
   const SETTLE_DELAY_MS = 350;
+  const WARMUP_STEP_MS = 150;
+  const WARMUP_MAX_STEPS = 200;
   const MAX_CONSOLE_ENTRIES = 200;
+  const ACTION_TIMEOUT_MS = 5000;   // how long an action waits for its element
+  const ACTION_SETTLE_MS = 300;     // after a click / scroll: let the page react
+  const ACTION_MAX_WAIT_MS = 30000; // cap on a "wait N ms" step
+  const DISMISS_PASSES = 3;         // a click can reveal a second consent layer
+  const MAX_REDACTION_RECTS = 5000;
+  const MIN_REDACTION_TERM = 3;     // shorter selector text would mask too much elsewhere
+  const MAX_LAYOUT_BOXES = 3000;
 
   let scrollIndex = 0;
   let totalScrolls = 0;
   let pageHeight = 0;
+  let pageWidth = 0;
   let viewportHeight = 0;
+  let viewportWidth = 0;
+  let tileColumns = 1;
+  let originalScrollX = 0;
   let originalScrollY = 0;
   let originalScrollBehavior = '';
   let settings = {};
   let fixedElements = [];
+  let fixedElementReport = [];
+  let fixedObserver = null;        // watches for nodes that may have become fixed
+  let fixedCandidates = new Set(); // ...collected here between frames
+
+  // Inner scroll container — null when the window itself scrolls
+  let scrollContainer = null;
+  let originalContainerOverflow = '';
+  let originalContainerScrollTop = 0;
+  let originalContainerScrollLeft = 0;
+
+  // What is being captured, in the scroll target's content coordinates.
+  // scrollViewport is the visible scrolling area in viewport CSS pixels.
+  let scrollViewport = null;
+  let captureRegion = null;
+  let regionPinned = false;
+  let captureMode = 'page'; // page | element | region
+  let captureTarget = null;
+  let captureEngine = 'scroll'; // scroll | devtools (beyond-viewport capture)
+
+  // Growing-page state (page mode only)
+  let initialPageHeight = 0;
+  let pageGrowing = false;
+  let stopReason = null;
+
+  // Capture controls: pause holds the walk at the next frame boundary,
+  // stop-here finishes there, cancel drops everything
+  let captureActive = false;
+  let capturePaused = false;
+  let heldStep = null;
+  let stopRequested = false;
+
+  // The last message still waiting on the background, re-sent if its worker
+  // was restarted: the frame / region request, or the finished page info
+  let pendingRequest = null;
+  let frameRequestSeq = 0;
+
+  // Readiness timings, recorded into metadata for tuning slow sites
+  let warmUpStats = null;
+  let frameWaits = [];
+
+  // Step-by-step outcome of the pre-capture actions, recorded into metadata
+  let actionReport = null;
+
+  // Consent banners / popups hidden for the capture, restored afterwards,
+  // and the log of every dismissal rule that fired
+  let dismissedElements = [];
+  let dismissReport = null;
+
+  // Element picker state
+  let pickerActive = false;
+  let pickerHighlight = null;
+  let pickerLabel = null;
+  let pickerCurrent = null;
+  let pickerTrail = [];
+  let pickedElement = null;
+
+  // Region selector state — points are in the scroller's content coordinates
+  let regionSelecting = false;
+  let regionOverlay = null;
+  let regionBox = null;
+  let regionLabel = null;
+  let regionScroller = null;
+  let regionStart = null;
+  let regionPointer = null;
+  let regionFrame = 0;
+  let pickedRegion = null;
 
   // Console capture state — only active during capture
   let capturedConsole = [];
@@ -110,99 +211,316 @@
 
   chrome.runtime.onMessage.addListener((msg, _sender, _sendResponse) => {
     const handlers = {
-      'begin-scroll-capture': () => beginCapture(msg.settings),
+      'begin-scroll-capture': () => beginCapture(msg.settings, msg.mode, msg.engine, msg.preparePage),
+      'begin-element-picker': () => startElementPicker(),
+      'begin-region-select': () => startRegionSelector(msg.settings),
       'next-scroll': () => captureNextViewport(),
+      'region-captured': () => finishCapture(),
+      'fallback-scroll-capture': () => {
+        pendingRequest = null;
+        startScrollWalk();
+      },
       'capture-error': () => cleanupCapture(msg.error),
-      'capture-done': () => cleanup(),
+      'capture-done': () => cleanup(msg.keepSelection),
+      'pause-capture': () => pauseCapture(),
+      'resume-capture': () => resumeCapture(),
+      'stop-capture': () => stopCaptureHere(),
+      'cancel-capture': () => cancelCapture(),
+      'resume-after-restart': () => resumeAfterRestart(),
     };
     handlers[msg.action]?.();
   });
 
   // ── Capture Orchestration ───────────────────────────────────────────────
 
-  function beginCapture(cfg) {
+  /**
+   * @param {boolean} [preparePage] - dismiss popups and run the pre-capture
+   *   actions first; only the first variant of a run does, later ones keep
+   *   its reports
+   */
+  function beginCapture(cfg, mode, engine, preparePage) {
     settings = cfg;
+    captureEngine = engine || 'scroll';
+    originalScrollX = window.scrollX;
     originalScrollY = window.scrollY;
+    captureMode = mode || 'page';
+    captureTarget = captureMode === 'element' ? pickedElement : null;
+    captureActive = true;
+    capturePaused = false;
+    heldStep = null;
+    stopRequested = false;
+    pendingRequest = null;
+    frameRequestSeq = 0;
+
+    originalScrollBehavior = document.documentElement.style.scrollBehavior;
 
     // Start capturing console output for this session
     startConsoleCapture();
 
+    // Both interact with the page as it is, before we touch its styles
+    if (preparePage) {
+      dismissPopups().then(runPreCaptureActions).then(prepareCapture).catch(abortCapture);
+    } else {
+      prepareCapture();
+    }
+  }
+
+  function prepareCapture() {
+    if (!captureActive) return;
+
     // Disable smooth scrolling — we need instant jumps
-    originalScrollBehavior = document.documentElement.style.scrollBehavior;
     document.documentElement.style.scrollBehavior = 'auto';
 
     // Hide scrollbar to avoid it appearing in captures
     document.documentElement.style.overflow = 'hidden';
     document.body.style.overflow = 'visible';
 
-    // Measure full page
-    pageHeight = Math.max(
-      document.body.scrollHeight,
-      document.body.offsetHeight,
-      document.documentElement.scrollHeight,
-      document.documentElement.offsetHeight,
-      document.documentElement.clientHeight
-    );
-    viewportHeight = window.innerHeight;
-    totalScrolls = Math.ceil(pageHeight / viewportHeight);
+    // Pick what to scroll: the window, or the page's dominant inner container.
+    // A picked element outside that container scrolls with the window.
+    scrollContainer = resolveScrollContainer(settings.scrollContainerSelector);
+    if (captureTarget && scrollContainer && !scrollContainer.contains(captureTarget)) {
+      scrollContainer = null;
+    }
+
+    if (scrollContainer) {
+      // Hide the container's own scrollbar; programmatic scrollTop still works
+      originalContainerOverflow = scrollContainer.style.overflow;
+      originalContainerScrollTop = scrollContainer.scrollTop;
+      originalContainerScrollLeft = scrollContainer.scrollLeft;
+      scrollContainer.style.overflow = 'hidden';
+    }
+
+    warmUpStats = null;
+    frameWaits = [];
+
+    // Beyond-viewport capture never scrolls, so a growing page only grows
+    // if we scroll it first — the warm-up pass does exactly that
+    const warmUp = settings.warmUpLazyLoad ||
+      (usesBeyondViewport() && captureMode === 'page' && settings.followGrowth);
+
+    if (warmUp) {
+      warmUpLazyContent().then(measureAndStart);
+    } else {
+      measureAndStart();
+    }
+  }
+
+  function measureAndStart() {
+    if (!captureActive) return;
+
+    if (scrollContainer) {
+      pageHeight = measureScrollHeight();
+      pageWidth = scrollContainer.scrollWidth;
+      scrollViewport = measureContainerRect(scrollContainer);
+    } else {
+      // Measure full page
+      pageHeight = measureScrollHeight();
+      pageWidth = Math.max(
+        document.body.scrollWidth,
+        document.documentElement.scrollWidth,
+        document.documentElement.clientWidth
+      );
+      scrollViewport = { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+    }
+    viewportHeight = scrollViewport.height;
+    viewportWidth = scrollViewport.width;
+
+    if (captureTarget) {
+      regionPinned = hasFixedAncestor(captureTarget, true);
+      captureRegion = measureElementRegion(captureTarget, regionPinned);
+    } else if (captureMode === 'region' && pickedRegion) {
+      regionPinned = false;
+      captureRegion = clampRegion(pickedRegion);
+    } else {
+      // Without full-width capture, everything right of the viewport is dropped
+      if (!settings.captureFullWidth) pageWidth = viewportWidth;
+      regionPinned = false;
+      captureRegion = { left: 0, top: 0, width: pageWidth, height: 0 };
+    }
+
+    tileColumns = Math.max(1, Math.ceil(captureRegion.width / viewportWidth));
     scrollIndex = 0;
+    initialPageHeight = pageHeight;
+    pageGrowing = false;
+    stopReason = null;
+
+    if (captureMode === 'page') {
+      // Page height goes through the stop conditions (may cap it)
+      fitPageRegion(pageHeight);
+    } else {
+      totalScrolls = Math.max(1, Math.ceil(captureRegion.height / viewportHeight)) * tileColumns;
+    }
+
+    if (usesBeyondViewport()) {
+      scrollToTile(0);
+      waitForSettle(requestRegionCapture);
+      return;
+    }
+
+    startScrollWalk();
+  }
 
-    detectFixedElements();
+  function startScrollWalk() {
+    scrollIndex = 0;
+    resetFixedElements();
 
-    // Scroll to top and start
-    window.scrollTo(0, 0);
+    // Scroll to the region's top-left and start
+    scrollToTile(0);
     waitForSettleThenCapture();
   }
 
-  function captureNextViewport() {
-    scrollIndex++;
+  /**
+   * The DevTools engine captures in document coordinates, which only line up
+   * with the region when the window is the scroller and the region isn't
+   * pinned to the viewport. Everything else walks tiles (without the
+   * captureVisibleTab rate limit).
+   */
+  function usesBeyondViewport() {
+    return captureEngine === 'devtools' && !scrollContainer && !regionPinned;
+  }
+
+  function requestRegionCapture() {
+    if (!captureActive) return;
+    if (captureMode === 'page') fitPageRegion(measureScrollHeight());
+
+    // One policy pass for the whole region: the viewport is stretched over
+    // the page, so top/bottom elements land at the page's top and bottom
+    resetFixedElements();
+    scanFixedElements();
+    applyFixedPolicies(0, true);
+
+    requestAnimationFrame(() => requestAnimationFrame(() => {
+      pendingRequest = {
+        action: 'capture-region',
+        region: captureRegion,
+        viewportHeight,
+        viewportWidth,
+      };
+      chrome.runtime.sendMessage(pendingRequest);
+    }));
+  }
 
-    // After the first viewport is captured, hide fixed/sticky elements
-    // so they don't repeat in every subsequent frame
-    if (scrollIndex === 1) {
-      applyFixedElementHiding();
+  function captureNextViewport() {
+    pendingRequest = null;
+    if (!captureActive || holdIfPaused(captureNextViewport)) return;
+    if (stopRequested) {
+      stopHere();
+      return;
     }
 
+    scrollIndex++;
+
     if (scrollIndex >= totalScrolls) {
+      // Reached the current bottom — an infinite feed may still load more
+      if (captureMode === 'page' && settings.followGrowth && !stopReason) {
+        waitForGrowth();
+        return;
+      }
+      if (!stopReason) stopReason = 'end-of-page';
       finishCapture();
       return;
     }
 
-    const targetY = scrollIndex * viewportHeight;
-    window.scrollTo(0, targetY);
+    scrollToTile(scrollIndex);
     waitForSettleThenCapture();
   }
 
   function waitForSettleThenCapture() {
+    waitForSettle(prepareFrameThenCapture);
+  }
+
+  function waitForSettle(then) {
     // Wait for the next animation frame (ensures scroll has applied),
     // then wait SETTLE_DELAY for lazy-loaded images and repaint
     requestAnimationFrame(() => {
-      setTimeout(() => requestCaptureOfCurrentViewport(), SETTLE_DELAY_MS);
+      if (!settings.waitForReadiness) {
+        setTimeout(then, SETTLE_DELAY_MS);
+        return;
+      }
+
+      // Readiness waits run alongside the minimum settle delay
+      Promise.all([waitForReadiness(), delay(SETTLE_DELAY_MS)]).then(([waits]) => {
+        frameWaits.push({ index: scrollIndex, ...waits });
+        // One more frame so decoded images and swapped fonts are painted
+        requestAnimationFrame(then);
+      });
     });
   }
 
+  function prepareFrameThenCapture() {
+    if (!captureActive) return;
+
+    // Re-measure after every settle: the page may have grown, or a stop
+    // condition (selector, height cap) may have cut it short
+    if (captureMode === 'page' && settings.followGrowth) {
+      if (fitPageRegion(measureScrollHeight())) pageGrowing = true;
+    }
+
+    // Fixed elements can appear mid-scroll; each frame gets its own policy pass
+    scanFixedElements();
+    if (applyFixedPolicies(scrollIndex)) {
+      requestAnimationFrame(() => requestAnimationFrame(() => requestCaptureOfCurrentViewport()));
+      return;
+    }
+    requestCaptureOfCurrentViewport();
+  }
+
   function requestCaptureOfCurrentViewport() {
-    const currentY = window.scrollY;
-    const remaining = pageHeight - currentY;
-    const clipHeight = Math.min(viewportHeight, remaining);
+    const { x: currentX, y: currentY } = currentScrollPosition();
+    const { x: offsetX, y: offsetY } = tileOffset(scrollIndex);
+    if (offsetY >= captureRegion.height) {
+      finishCapture();
+      return;
+    }
+
+    // Where the tile's top-left landed in the viewport — scrolling clamps at
+    // the end of the page, so it is not always the viewport's own corner
+    const left = scrollViewport.left + captureRegion.left + offsetX - currentX;
+    const top = scrollViewport.top + captureRegion.top + offsetY - currentY;
+    const clipWidth = Math.min(scrollViewport.left + scrollViewport.width - left, captureRegion.width - offsetX);
+    const clipHeight = Math.min(scrollViewport.top + scrollViewport.height - top, captureRegion.height - offsetY);
 
-    chrome.runtime.sendMessage({
+    pendingRequest = {
       action: 'capture-viewport',
-      scrollY: currentY,
+      seq: ++frameRequestSeq,
+      scrollX: offsetX,
+      scrollY: offsetY,
       viewportHeight,
+      viewportWidth,
       clipHeight,
+      clipWidth,
+      viewportRect: { left, top, width: clipWidth, height: clipHeight },
       index: scrollIndex,
       totalScrolls,
-    });
+      growing: pageGrowing,
+    };
+    chrome.runtime.sendMessage(pendingRequest);
   }
 
   function finishCapture() {
+    if (!captureActive) return;
+
+    // Frames are done — show hidden fixed elements again so text extraction
+    // sees them, but measure with sticky ones still unstuck, where the
+    // stitched image shows them
+    fixedElementReport = summarizeFixedElements();
+    showFixedElements();
     const pageInfo = collectPageInfo();
+    restoreFixedElements();
 
-    chrome.runtime.sendMessage({
+    pendingRequest = {
       action: 'capture-complete',
       pageInfo,
-    });
+    };
+    chrome.runtime.sendMessage(pendingRequest);
+  }
+
+  // Something threw on our side: put the page back and let the worker fail the run
+  function abortCapture(err) {
+    if (!captureActive) return;
+    cleanupCapture(err);
+    chrome.runtime.sendMessage({ action: 'capture-error', error: err.message || String(err) })
+      .catch(() => {});
   }
 
   function cleanupCapture(error) {
@@ -210,24 +528,1199 @@
     cleanup();
   }
 
-  function cleanup() {
+  /**
+   * @param {boolean} [keepSelection] - keep the picked element / region for
+   *   the next capture of the same run (another width or color scheme)
+   */
+  function cleanup(keepSelection = false) {
     restoreFixedElements();
     stopConsoleCapture();
     document.documentElement.style.scrollBehavior = originalScrollBehavior;
     document.documentElement.style.overflow = '';
     document.body.style.overflow = '';
-    window.scrollTo(0, originalScrollY);
+    if (scrollContainer) {
+      scrollContainer.style.overflow = originalContainerOverflow;
+      scrollContainer.scrollTop = originalContainerScrollTop;
+      scrollContainer.scrollLeft = originalContainerScrollLeft;
+      scrollContainer = null;
+    }
+    captureMode = 'page';
+    captureTarget = null;
+    captureEngine = 'scroll';
+    captureActive = false;
+    capturePaused = false;
+    heldStep = null;
+    pendingRequest = null;
+    if (!keepSelection) {
+      pickedElement = null;
+      pickedRegion = null;
+      restoreDismissedElements();
+    }
+    window.scrollTo(originalScrollX, originalScrollY);
+  }
+
+  // ── Capture Controls ────────────────────────────────────────────────────
+
+  function pauseCapture() {
+    if (captureActive) capturePaused = true;
+  }
+
+  function resumeCapture() {
+    capturePaused = false;
+    const step = heldStep;
+    heldStep = null;
+    step?.();
+  }
+
+  function stopCaptureHere() {
+    if (!captureActive) return;
+    stopRequested = true;
+    resumeCapture();
+  }
+
+  function cancelCapture() {
+    if (!captureActive) return;
+    cleanup();
+  }
+
+  /**
+   * The background worker was restarted and may have lost the message we are
+   * waiting on. Frames and page info are re-sent as-is (it ignores what it has
+   * already handled); a beyond-viewport request becomes a scroll walk, since
+   * the DevTools session didn't survive.
+   */
+  function resumeAfterRestart() {
+    if (!captureActive || !pendingRequest) return;
+    if (pendingRequest.action === 'capture-region') {
+      pendingRequest = null;
+      startScrollWalk();
+      return;
+    }
+    chrome.runtime.sendMessage(pendingRequest);
+  }
+
+  // Park the next step while paused; true means the caller should return
+  function holdIfPaused(step) {
+    if (!capturePaused) return false;
+    heldStep = step;
+    return true;
+  }
+
+  function waitWhilePaused() {
+    return new Promise((resolve) => {
+      if (!holdIfPaused(resolve)) resolve();
+    });
+  }
+
+  /**
+   * Finish with the frames taken so far. The region is trimmed to the rows
+   * already captured, so the stitched image has no blank tail.
+   */
+  function stopHere() {
+    const rowsDone = Math.max(1, Math.floor((scrollIndex + 1) / tileColumns));
+    captureRegion.height = Math.min(captureRegion.height, rowsDone * viewportHeight);
+    totalScrolls = Math.min(totalScrolls, rowsDone * tileColumns);
+    stopReason = 'stopped-by-user';
+    finishCapture();
+  }
+
+  // ── Pre-capture Actions ─────────────────────────────────────────────────
+  //
+  // settings.preCaptureActions maps a domain to a list of steps, e.g.
+  // { type: 'click', selector: '#tab-specs' }. The most specific domain
+  // matching this page wins (example.com also covers www.example.com).
+  // A failed step is recorded and the rest still run.
+
+  function actionsForPage() {
+    const host = location.hostname;
+    const lists = settings.preCaptureActions || {};
+    const domain = Object.keys(lists)
+      .filter(d => host === d || host.endsWith(`.${d}`))
+      .sort((a, b) => b.length - a.length)[0];
+    return domain && lists[domain]?.length ? { domain, steps: lists[domain] } : null;
+  }
+
+  async function runPreCaptureActions() {
+    actionReport = null;
+    const script = actionsForPage();
+    if (!script || !captureActive) return;
+
+    const started = performance.now();
+    const steps = [];
+    const report = () => chrome.runtime.sendMessage({
+      action: 'capture-actions',
+      total: script.steps.length,
+      steps,
+    }).catch(() => {});
+    report();
+
+    for (const [index, step] of script.steps.entries()) {
+      await waitWhilePaused();
+      if (!captureActive || stopRequested) break;
+
+      const stepStarted = performance.now();
+      let error = null;
+      try {
+        await runAction(step);
+      } catch (err) {
+        error = err.message;
+      }
+      // What a "type" step typed can be a password or a search: never reported
+      const { text, ...reported } = step;
+      steps.push({
+        index,
+        ...reported,
+        ok: !error,
+        error,
+        ms: Math.round(performance.now() - stepStarted),
+      });
+      report();
+    }
+
+    actionReport = {
+      domain: script.domain,
+      steps,
+      failed: steps.filter(s => !s.ok).length,
+      ms: Math.round(performance.now() - started),
+    };
+  }
+
+  async function runAction(step) {
+    switch (step.type) {
+      case 'click': {
+        const el = await waitForElement(step.selector);
+        el.scrollIntoView({ block: 'center' });
+        el.click();
+        await delay(ACTION_SETTLE_MS);
+        break;
+      }
+      case 'wait-for':
+        await waitForElement(step.selector);
+        break;
+      case 'wait':
+        await delay(Math.min(Math.max(0, step.ms || 0), ACTION_MAX_WAIT_MS));
+        break;
+      case 'type':
+        typeInto(await waitForElement(step.selector), step.text || '');
+        break;
+      case 'scroll-to': {
+        const el = await waitForElement(step.selector);
+        el.scrollIntoView({ block: 'start' });
+        await delay(ACTION_SETTLE_MS);
+        break;
+      }
+      case 'remove':
+        await waitForElement(step.selector);
+        document.querySelectorAll(step.selector).forEach(el => el.remove());
+        break;
+      default:
+        throw new Error(`Unknown action "${step.type}"`);
+    }
+  }
+
+  async function waitForElement(selector) {
+    const deadline = performance.now() + ACTION_TIMEOUT_MS;
+    for (;;) {
+      const el = document.querySelector(selector); // throws on a bad selector
+      if (el) return el;
+      if (performance.now() >= deadline || !captureActive) {
+        throw new Error(`No element matches ${selector}`);
+      }
+      await delay(100);
+    }
+  }
+
+  // Set the value the way a framework-controlled input expects, then announce it
+  function typeInto(el, text) {
+    el.focus();
+    if (el.isContentEditable) {
+      el.textContent = text;
+    } else if ('value' in el) {
+      const setter = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(el), 'value')?.set;
+      if (setter) {
+        setter.call(el, text);
+      } else {
+        el.value = text;
+      }
+    } else {
+      throw new Error(`${describeElement(el)} can't be typed into`);
+    }
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  // ── Popup Dismissal ─────────────────────────────────────────────────────
+  //
+  // Before the pre-capture actions: known consent platforms get their reject
+  // (or close) button clicked, or are hidden when they have none; chat
+  // widgets are hidden; then any other fixed consent banner or page-covering
+  // overlay gets a reject / close button found by its text, or is hidden.
+  // Hidden elements come back when the capture is over. Off with
+  // settings.dismissPopups = false (forensic captures).
+
+  async function dismissPopups() {
+    const rules = window.__gobbleConsentRules;
+    if (settings.dismissPopups === false || !rules) {
+      dismissReport = { enabled: false, fired: [] }; // the page was left as it was
+      return;
+    }
+
+    const started = performance.now();
+    const fired = [];
+    // What the capture needs is never dismissed: the page's scroll container
+    // (an app shell can be a fixed, full-screen element) and the picked element
+    const protect = [resolveScrollContainer(settings.scrollContainerSelector), captureTarget].filter(Boolean);
+    for (let pass = 0; pass < DISMISS_PASSES && captureActive; pass++) {
+      if (!dismissPass(rules, fired, protect)) break;
+      await delay(ACTION_SETTLE_MS); // let the clicked banner close
+    }
+    dismissReport = { enabled: true, fired, ms: Math.round(performance.now() - started) };
+  }
+
+  // One sweep of every rule; true if a button was clicked (worth another look)
+  function dismissPass(rules, fired, protect) {
+    let clicked = false;
+    const log = (rule, kind, action, el) => {
+      fired.push({ rule, kind, action, element: describeElement(el) });
+    };
+
+    for (const cmp of rules.cmps) {
+      const banner = firstVisible(cmp.banner);
+      if (!banner) continue;
+      const button = cmp.reject && firstVisible(cmp.reject);
+      if (button) {
+        button.click();
+        log(cmp.name, 'cmp', 'clicked', button);
+        clicked = true;
+        continue;
+      }
+      document.querySelectorAll(cmp.hide).forEach((el) => {
+        if (hideForCapture(el)) log(cmp.name, 'cmp', 'hidden', el);
+      });
+    }
+
+    for (const widget of rules.widgets) {
+      document.querySelectorAll(widget.selector).forEach((el) => {
+        if (isShown(el) && hideForCapture(el)) log(widget.name, 'widget', 'hidden', el);
+      });
+    }
+
+    for (const { el, rule, button } of findBlockingElements(rules, protect)) {
+      if (button) {
+        button.el.click();
+        log(`${rule}:${button.kind}-text`, 'text', 'clicked', button.el);
+        clicked = true;
+      } else if (hideForCapture(el)) {
+        log(rule, 'overlay', 'hidden', el);
+      }
+    }
+
+    return clicked;
+  }
+
+  /**
+   * Fixed elements blocking the page, each with its reject / close button if
+   * it has one: overlays covering the viewport above the page, and consent
+   * banners — banner-shaped, with consent text and a button to dismiss them.
+   * Elements in `protect`, or around one, are left alone.
+   */
+  function findBlockingElements(rules, protect) {
+    const { minCoverage, minZIndex } = rules.overlay;
+    const vw = window.innerWidth;
+    const vh = window.innerHeight;
+    const found = [];
+    const queue = positionedElements(document.body.querySelectorAll('*'));
+    for (let i = 0; i < queue.length; i++) {
+      const { el, style } = queue[i];
+      if (protect.some(p => el.contains(p))) {
+        // A banner can live inside an app shell: look at what's fixed within
+        queue.push(...positionedElements(el.querySelectorAll('*')));
+        continue;
+      }
+      if (style.position !== 'fixed' || !isShown(el)) continue;
+
+      const rect = el.getBoundingClientRect();
+      const covers = rect.width >= vw * minCoverage &&
+        rect.height >= vh * minCoverage &&
+        (parseInt(style.zIndex, 10) || 0) >= minZIndex;
+      if (covers) {
+        found.push({ el, rule: 'full-viewport-overlay', button: findDismissButton(el, rules.buttons) });
+        continue;
+      }
+      if (!isBannerShaped(el, rect, rules.banner)) continue;
+      if (!rules.consentText.test((el.innerText || '').slice(0, 2000))) continue;
+      const button = findDismissButton(el, rules.buttons);
+      if (button) found.push({ el, rule: 'consent-banner-text', button });
+    }
+    return found;
+  }
+
+  // A bar along the top or bottom of the viewport, or a dialog — not a
+  // sidebar, nav bar link list or full-height panel
+  function isBannerShaped(el, rect, { maxHeight, edgeMargin, minBarWidth }) {
+    const vw = window.innerWidth;
+    const vh = window.innerHeight;
+    if (rect.height > vh * maxHeight) return false;
+    const dialog = el.matches('[role="dialog"], [role="alertdialog"], [aria-modal="true"], dialog');
+    const bar = rect.width >= vw * minBarWidth &&
+      (rect.top <= vh * edgeMargin || rect.bottom >= vh * (1 - edgeMargin));
+    return dialog || bar;
+  }
+
+  // A visible button whose whole text is a reject pattern, else a close one
+  function findDismissButton(root, patterns) {
+    const buttons = [...root.querySelectorAll('button, a, [role="button"], input[type="button"], input[type="submit"]')]
+      .filter(isShown);
+    const label = el => (el.innerText || el.value || el.getAttribute('aria-label') || '').trim();
+    for (const kind of ['reject', 'close']) {
+      const el = buttons.find(b => patterns[kind].some(re => re.test(label(b))));
+      if (el) return { el, kind };
+    }
+    return null;
+  }
+
+  function firstVisible(selector) {
+    return [...document.querySelectorAll(selector)].find(isShown) || null;
+  }
+
+  function isShown(el) {
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 && getComputedStyle(el).visibility !== 'hidden';
+  }
+
+  // false if it was already hidden by us
+  function hideForCapture(el) {
+    if (dismissedElements.some(d => d.el === el)) return false;
+    dismissedElements.push({
+      el,
+      display: el.style.getPropertyValue('display'),
+      priority: el.style.getPropertyPriority('display'),
+    });
+    el.style.setProperty('display', 'none', 'important');
+    return true;
+  }
+
+  function restoreDismissedElements() {
+    dismissedElements.forEach(({ el, display, priority }) => {
+      el.style.setProperty('display', display, priority);
+    });
+    dismissedElements = [];
+  }
+
+  // ── Readiness ───────────────────────────────────────────────────────────
+
+  function delay(ms) {
+    return new Promise(r => setTimeout(r, ms));
+  }
+
+  // Resolves with how long the promise took and whether it hit the timeout
+  async function timedWait(promise, timeoutMs) {
+    const started = performance.now();
+    let timer = null;
+    const timedOut = await Promise.race([
+      Promise.resolve(promise).then(() => false, () => false),
+      new Promise(r => { timer = setTimeout(() => r(true), timeoutMs); }),
+    ]);
+    clearTimeout(timer);
+    return { ms: Math.round(performance.now() - started), timedOut };
+  }
+
+  /**
+   * Wait for the current viewport to be worth capturing: web fonts loaded,
+   * in-view images decoded, and no DOM mutations for a quiet period.
+   * The three run side by side under one timeout, so a busy page can't stall
+   * a frame for longer than readinessTimeoutMs.
+   */
+  async function waitForReadiness() {
+    const timeoutMs = settings.readinessTimeoutMs || 2000;
+    const started = performance.now();
+
+    const images = imagesInViewport();
+    const waits = {
+      fonts: document.fonts?.ready,
+      images: Promise.allSettled(images.map(img => img.decode())),
+      'dom-quiet': waitForDomQuiet(settings.mutationQuietMs || 200),
+    };
+    const finishedMs = {};
+    const all = Object.entries(waits).map(([name, promise]) => Promise.resolve(promise)
+      .catch(() => {})
+      .then(() => { finishedMs[name] = Math.round(performance.now() - started); }));
+    const total = await timedWait(Promise.all(all), timeoutMs);
+
+    return {
+      fontsMs: finishedMs.fonts ?? total.ms,
+      imagesMs: finishedMs.images ?? total.ms,
+      imageCount: images.length,
+      quietMs: finishedMs['dom-quiet'] ?? total.ms,
+      totalMs: total.ms,
+      timedOut: Object.keys(waits).filter(name => !(name in finishedMs)),
+    };
+  }
+
+  function imagesInViewport() {
+    const vp = scrollViewport || { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+    return [...document.images].filter((img) => {
+      if (!img.currentSrc && !img.src) return false;
+      const r = img.getBoundingClientRect();
+      return r.width > 0 && r.height > 0 &&
+        r.bottom > vp.top && r.top < vp.top + vp.height &&
+        r.right > vp.left && r.left < vp.left + vp.width;
+    });
+  }
+
+  // Resolves once the DOM has gone quietMs without a relevant mutation.
+  // The caller's timeout bounds pages that never stop mutating.
+  function waitForDomQuiet(quietMs) {
+    return new Promise((resolve) => {
+      let timer = null;
+      const observer = new MutationObserver(() => {
+        clearTimeout(timer);
+        timer = setTimeout(done, quietMs);
+      });
+      function done() {
+        observer.disconnect();
+        resolve();
+      }
+      observer.observe(document.documentElement, {
+        childList: true,
+        subtree: true,
+        characterData: true,
+        attributes: true,
+        // Not class: pages that animate classes would never go quiet
+        attributeFilter: ['src', 'srcset'],
+      });
+      timer = setTimeout(done, quietMs);
+      // Stop observing even if the caller gave up on us
+      setTimeout(done, (settings.readinessTimeoutMs || 2000) + quietMs);
+    });
+  }
+
+  /**
+   * Scroll through the whole scroller so loading="lazy" images and
+   * IntersectionObserver loaders fire, then return to the top. Bounded by
+   * the max page height and a step limit so endless feeds can't trap it.
+   */
+  async function warmUpLazyContent() {
+    chrome.runtime.sendMessage({ action: 'capture-warming-up' });
+    const started = performance.now();
+    const step = scrollContainer ? scrollContainer.clientHeight : window.innerHeight;
+    const limit = settings.maxPageHeight > 0 ? settings.maxPageHeight : Infinity;
+    let y = 0;
+    let steps = 0;
+
+    while (steps < WARMUP_MAX_STEPS) {
+      await waitWhilePaused();
+      if (!captureActive || stopRequested) break;
+      const bottom = Math.min(measureScrollHeight(), limit) - step;
+      if (y >= bottom) break;
+      y = Math.min(y + step, bottom);
+      if (scrollContainer) {
+        scrollContainer.scrollTop = y;
+      } else {
+        window.scrollTo(0, y);
+      }
+      steps++;
+      await delay(WARMUP_STEP_MS);
+    }
+    if (!captureActive) return;
+
+    if (scrollContainer) {
+      scrollContainer.scrollTop = 0;
+    } else {
+      window.scrollTo(0, 0);
+    }
+    await delay(WARMUP_STEP_MS);
+
+    warmUpStats = {
+      steps,
+      scrolledTo: y,
+      ms: Math.round(performance.now() - started),
+    };
+  }
+
+  // ── Growing Pages ───────────────────────────────────────────────────────
+
+  function measureScrollHeight() {
+    if (scrollContainer) return scrollContainer.scrollHeight;
+    return Math.max(
+      document.body.scrollHeight,
+      document.body.offsetHeight,
+      document.documentElement.scrollHeight,
+      document.documentElement.offsetHeight,
+      document.documentElement.clientHeight
+    );
+  }
+
+  /**
+   * Fit the page-mode capture region to a measured height, applying the stop
+   * conditions (max page height, max viewports, stop-at selector). A page
+   * that measures shorter than before keeps what we already planned to
+   * capture. Returns true when the region grew.
+   */
+  function fitPageRegion(measured) {
+    pageHeight = Math.max(pageHeight, measured);
+    let height = Math.max(captureRegion.height, measured);
+
+    if (settings.maxPageHeight > 0 && height > settings.maxPageHeight) {
+      height = settings.maxPageHeight;
+      stopReason = 'max-page-height';
+    }
+    if (settings.maxViewports > 0 && height > settings.maxViewports * viewportHeight) {
+      height = settings.maxViewports * viewportHeight;
+      stopReason = 'max-viewports';
+    }
+    const stopY = findStopSelectorY();
+    if (stopY !== null && height > stopY) {
+      height = Math.max(1, stopY);
+      stopReason = 'stop-selector';
+    }
+
+    const grew = captureRegion.height > 0 && height > captureRegion.height;
+    captureRegion.height = height;
+    totalScrolls = Math.max(1, Math.ceil(height / viewportHeight)) * tileColumns;
+    return grew;
+  }
+
+  // Top of the first element matching the stop selector, in content coordinates
+  function findStopSelectorY() {
+    if (!settings.stopAtSelector) return null;
+    let el = null;
+    try {
+      el = document.querySelector(settings.stopAtSelector);
+    } catch (_) {
+      return null; // invalid selector — ignore the condition
+    }
+    if (!el) return null;
+    const { y } = currentScrollPosition();
+    return Math.round(el.getBoundingClientRect().top - scrollViewport.top + y);
+  }
+
+  /**
+   * At the bottom: give lazy loaders a few more chances to append content.
+   * If the page grows, the last row is captured again (its frames were cut
+   * at the old bottom) and scrolling continues; otherwise we finish.
+   */
+  function waitForGrowth() {
+    const limit = Math.max(0, settings.growthStallScrolls || 0);
+    const lastRowStart = Math.floor((scrollIndex - 1) / tileColumns) * tileColumns;
+    let stalled = 0;
+
+    const attempt = () => {
+      if (!captureActive || holdIfPaused(attempt)) return;
+      if (stopRequested) {
+        stopHere();
+        return;
+      }
+      if (stalled >= limit) {
+        stopReason = pageGrowing ? 'growth-stalled' : 'end-of-page';
+        finishCapture();
+        return;
+      }
+
+      chrome.runtime.sendMessage({ action: 'capture-waiting', attempt: stalled + 1, limit });
+
+      // Nudge the scroll position so scroll-driven loaders fire again
+      const { x, y } = currentScrollPosition();
+      if (scrollContainer) {
+        scrollContainer.scrollTop = y - 1;
+        scrollContainer.scrollTop = y + viewportHeight;
+      } else {
+        window.scrollTo(x, y - 1);
+        window.scrollTo(x, y + viewportHeight);
+      }
+
+      requestAnimationFrame(() => {
+        setTimeout(() => {
+          if (fitPageRegion(measureScrollHeight())) {
+            pageGrowing = true;
+            scrollIndex = lastRowStart;
+            scrollToTile(scrollIndex);
+            waitForSettleThenCapture();
+            return;
+          }
+          if (stopReason) {
+            finishCapture();
+            return;
+          }
+          stalled++;
+          attempt();
+        }, SETTLE_DELAY_MS * 2);
+      });
+    };
+
+    attempt();
+  }
+
+  // ── Scroll Target ───────────────────────────────────────────────────────
+
+  // Tiles are walked row by row: left to right, then down one viewport
+  function tileOffset(index) {
+    return {
+      x: (index % tileColumns) * viewportWidth,
+      y: Math.floor(index / tileColumns) * viewportHeight,
+    };
+  }
+
+  function scrollToTile(index) {
+    // Pinned regions (inside fixed elements) don't move with scrolling
+    if (regionPinned) return;
+
+    const { x: offsetX, y: offsetY } = tileOffset(index);
+    const x = captureRegion.left + offsetX;
+    const y = captureRegion.top + offsetY;
+    if (scrollContainer) {
+      scrollContainer.scrollLeft = x;
+      scrollContainer.scrollTop = y;
+    } else {
+      window.scrollTo(x, y);
+    }
+  }
+
+  function currentScrollPosition() {
+    return scrollPositionOf(scrollContainer);
+  }
+
+  // Scroll offset of a container, or of the window when el is null
+  function scrollPositionOf(el) {
+    if (el) return { x: el.scrollLeft, y: el.scrollTop };
+    return { x: window.scrollX, y: window.scrollY };
+  }
+
+  /**
+   * Decide which element to scroll. An explicit selector wins; otherwise the
+   * largest visible scrollable element is used when it has more to scroll
+   * than the window does. Returns null to scroll the window.
+   */
+  function resolveScrollContainer(selector) {
+    if (selector) {
+      try {
+        const el = document.querySelector(selector);
+        if (el && el.scrollHeight > el.clientHeight + 1) return el;
+      } catch (_) { /* invalid selector — fall back to auto-detect */ }
+    }
+
+    const windowExtent = document.documentElement.scrollHeight - window.innerHeight;
+    const viewportArea = window.innerWidth * window.innerHeight;
+    let best = null;
+    let bestArea = 0;
+
+    for (const el of document.body.querySelectorAll('*')) {
+      // Cheap layout check first — computed style only for real candidates
+      if (el.scrollHeight <= el.clientHeight + 1) continue;
+      const overflowY = getComputedStyle(el).overflowY;
+      if (overflowY !== 'auto' && overflowY !== 'scroll' && overflowY !== 'overlay') continue;
+
+      const rect = el.getBoundingClientRect();
+      const visibleW = Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0);
+      const visibleH = Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0);
+      const area = Math.max(0, visibleW) * Math.max(0, visibleH);
+      if (area > bestArea) {
+        best = el;
+        bestArea = area;
+      }
+    }
+
+    // Must cover a good share of the screen and out-scroll the window
+    if (!best || bestArea < viewportArea * 0.4) return null;
+    if (best.scrollHeight - best.clientHeight <= windowExtent) return null;
+    return best;
+  }
+
+  /**
+   * Visible client area of the container in viewport CSS pixels — the part of
+   * each captured frame that belongs to the scrolled content.
+   */
+  function measureContainerRect(el) {
+    const rect = el.getBoundingClientRect();
+    const left = Math.max(0, rect.left + el.clientLeft);
+    const top = Math.max(0, rect.top + el.clientTop);
+    const right = Math.min(window.innerWidth, rect.left + el.clientLeft + el.clientWidth);
+    const bottom = Math.min(window.innerHeight, rect.top + el.clientTop + el.clientHeight);
+    return {
+      left: Math.round(left),
+      top: Math.round(top),
+      width: Math.round(right - left),
+      height: Math.round(bottom - top),
+    };
+  }
+
+  /**
+   * Element bounding box in the scroll target's content coordinates, clamped
+   * to the scrollable area. A pinned element is also clamped to what is on
+   * screen, since scrolling can't bring the rest of it into view.
+   */
+  function measureElementRegion(el, pinned) {
+    const rect = el.getBoundingClientRect();
+    const { x: scrollX, y: scrollY } = currentScrollPosition();
+    let left = rect.left - scrollViewport.left + scrollX;
+    let top = rect.top - scrollViewport.top + scrollY;
+    let right = rect.right - scrollViewport.left + scrollX;
+    let bottom = rect.bottom - scrollViewport.top + scrollY;
+
+    if (pinned) {
+      left = Math.max(left, scrollX);
+      top = Math.max(top, scrollY);
+      right = Math.min(right, scrollX + scrollViewport.width);
+      bottom = Math.min(bottom, scrollY + scrollViewport.height);
+    }
+
+    left = Math.max(0, Math.round(left));
+    top = Math.max(0, Math.round(top));
+    right = Math.min(pageWidth, Math.round(right));
+    bottom = Math.min(pageHeight, Math.round(bottom));
+    return { left, top, width: Math.max(1, right - left), height: Math.max(1, bottom - top) };
+  }
+
+  function clampRegion(region) {
+    const left = Math.max(0, Math.round(region.left));
+    const top = Math.max(0, Math.round(region.top));
+    const right = Math.min(pageWidth, Math.round(region.left + region.width));
+    const bottom = Math.min(pageHeight, Math.round(region.top + region.height));
+    return { left, top, width: Math.max(1, right - left), height: Math.max(1, bottom - top) };
+  }
+
+  /**
+   * Whether el is pinned to the viewport by a fixed ancestor (or itself).
+   * Sticky ones only count with `sticky`: the capture unsticks them (the
+   * in-place policy), except around a picked element, which keeps its own.
+   */
+  function hasFixedAncestor(el, sticky = false) {
+    for (let node = el; node && node !== document.body; node = node.parentElement) {
+      const position = getComputedStyle(node).position;
+      if (position === 'fixed' || (sticky && position === 'sticky')) return true;
+    }
+    return false;
+  }
+
+  function describeElement(el) {
+    let desc = el.tagName.toLowerCase();
+    if (el.id) desc += `#${el.id}`;
+    if (el.className && typeof el.className === 'string') {
+      const cls = el.className.trim().split(/\s+/).slice(0, 3).join('.');
+      if (cls) desc += `.${cls}`;
+    }
+    return desc;
+  }
+
+  // ── Element Picker ──────────────────────────────────────────────────────
+
+  function startElementPicker() {
+    if (pickerActive) return;
+    pickerActive = true;
+    pickerCurrent = null;
+    pickerTrail = [];
+
+    pickerHighlight = document.createElement('div');
+    pickerHighlight.style.cssText =
+      'position:fixed;z-index:2147483647;pointer-events:none;box-sizing:border-box;' +
+      'border:2px solid #D4762C;background:rgba(212,118,44,0.15);border-radius:2px;display:none;';
+
+    pickerLabel = document.createElement('div');
+    pickerLabel.style.cssText =
+      'position:fixed;z-index:2147483647;pointer-events:none;max-width:480px;' +
+      'padding:4px 8px;border-radius:4px;background:#1a1008;color:#F5E6D0;' +
+      'font:12px/1.4 -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;' +
+      'box-shadow:0 2px 8px rgba(0,0,0,0.4);white-space:nowrap;overflow:hidden;' +
+      'text-overflow:ellipsis;display:none;';
+
+    document.documentElement.append(pickerHighlight, pickerLabel);
+
+    document.addEventListener('mousemove', onPickerMouseMove, true);
+    document.addEventListener('mousedown', swallowPickerEvent, true);
+    document.addEventListener('mouseup', swallowPickerEvent, true);
+    document.addEventListener('click', onPickerClick, true);
+    document.addEventListener('keydown', onPickerKeyDown, true);
+    window.addEventListener('scroll', onPickerScroll, true);
+  }
+
+  function stopElementPicker() {
+    if (!pickerActive) return;
+    pickerActive = false;
+
+    document.removeEventListener('mousemove', onPickerMouseMove, true);
+    document.removeEventListener('mousedown', swallowPickerEvent, true);
+    document.removeEventListener('mouseup', swallowPickerEvent, true);
+    document.removeEventListener('click', onPickerClick, true);
+    document.removeEventListener('keydown', onPickerKeyDown, true);
+    window.removeEventListener('scroll', onPickerScroll, true);
+
+    pickerHighlight?.remove();
+    pickerLabel?.remove();
+    pickerHighlight = null;
+    pickerLabel = null;
+    pickerCurrent = null;
+    pickerTrail = [];
+  }
+
+  function onPickerMouseMove(e) {
+    const el = e.target;
+    if (!(el instanceof Element) || el === pickerCurrent) return;
+    pickerTrail = [];
+    highlightPickerElement(el);
+  }
+
+  function onPickerClick(e) {
+    swallowPickerEvent(e);
+    if (pickerCurrent) selectPickedElement(pickerCurrent);
+  }
+
+  function swallowPickerEvent(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    e.stopImmediatePropagation();
+  }
+
+  function onPickerScroll() {
+    if (pickerCurrent) highlightPickerElement(pickerCurrent);
+  }
+
+  // Arrow keys walk the DOM: up = parent, down = back toward the hovered
+  // child (or first child), left/right = siblings
+  function onPickerKeyDown(e) {
+    const current = pickerCurrent;
+    let next = null;
+
+    switch (e.key) {
+      case 'Escape':
+        swallowPickerEvent(e);
+        stopElementPicker();
+        return;
+      case 'Enter':
+        swallowPickerEvent(e);
+        if (current) selectPickedElement(current);
+        return;
+      case 'ArrowUp':
+        if (current?.parentElement && current.parentElement !== document.documentElement) {
+          pickerTrail.push(current);
+          next = current.parentElement;
+        }
+        break;
+      case 'ArrowDown': {
+        const back = pickerTrail.pop();
+        next = back && back.parentElement === current ? back : current?.firstElementChild;
+        break;
+      }
+      case 'ArrowLeft':
+        next = current?.previousElementSibling;
+        pickerTrail = [];
+        break;
+      case 'ArrowRight':
+        next = current?.nextElementSibling;
+        pickerTrail = [];
+        break;
+      default:
+        return;
+    }
+
+    swallowPickerEvent(e);
+    if (next) highlightPickerElement(next);
+  }
+
+  function highlightPickerElement(el) {
+    pickerCurrent = el;
+    const rect = el.getBoundingClientRect();
+
+    Object.assign(pickerHighlight.style, {
+      display: 'block',
+      left: `${rect.left}px`,
+      top: `${rect.top}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`,
+    });
+
+    pickerLabel.textContent =
+      `${describeElement(el)}  ${Math.round(rect.width)} × ${Math.round(rect.height)}` +
+      '  ·  ↑↓←→ walk · click/Enter gobble · Esc cancel';
+    const labelTop = rect.top > 30 ? rect.top - 28 : Math.min(rect.bottom + 6, window.innerHeight - 28);
+    Object.assign(pickerLabel.style, {
+      display: 'block',
+      left: `${Math.max(4, Math.min(rect.left, window.innerWidth - 484))}px`,
+      top: `${Math.max(4, labelTop)}px`,
+    });
+  }
+
+  function selectPickedElement(el) {
+    const rect = el.getBoundingClientRect();
+    if (rect.width < 1 || rect.height < 1) return;
+
+    stopElementPicker();
+    pickedElement = el;
+    chrome.runtime.sendMessage({ action: 'start-capture', mode: 'element' });
+  }
+
+  // ── Region Selector ─────────────────────────────────────────────────────
+
+  const REGION_EDGE_PX = 48;     // pointer this close to an edge auto-scrolls
+  const REGION_MIN_SIZE_PX = 8;  // smaller drags are treated as a stray click
+
+  function startRegionSelector(cfg) {
+    if (regionSelecting) return;
+    regionSelecting = true;
+    regionStart = null;
+    regionPointer = null;
+
+    // Drag in the same scroller the capture will walk
+    regionScroller = resolveScrollContainer(cfg?.scrollContainerSelector);
+
+    regionOverlay = document.createElement('div');
+    regionOverlay.style.cssText =
+      'position:fixed;inset:0;z-index:2147483646;cursor:crosshair;background:rgba(0,0,0,0.25);';
+
+    regionBox = document.createElement('div');
+    regionBox.style.cssText =
+      'position:fixed;z-index:2147483647;pointer-events:none;box-sizing:border-box;display:none;' +
+      'border:2px solid #D4762C;background:rgba(212,118,44,0.12);' +
+      'box-shadow:0 0 0 100vmax rgba(0,0,0,0.35);';
+
+    regionLabel = document.createElement('div');
+    regionLabel.style.cssText =
+      'position:fixed;z-index:2147483647;pointer-events:none;left:50%;top:12px;' +
+      'transform:translateX(-50%);padding:4px 10px;border-radius:4px;background:#1a1008;' +
+      'color:#F5E6D0;font:12px/1.4 -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;' +
+      'box-shadow:0 2px 8px rgba(0,0,0,0.4);white-space:nowrap;';
+    regionLabel.textContent = 'Drag to select a region · Esc to cancel';
+
+    document.documentElement.append(regionOverlay, regionBox, regionLabel);
+
+    regionOverlay.addEventListener('mousedown', onRegionMouseDown);
+    document.addEventListener('mousemove', onRegionMouseMove, true);
+    document.addEventListener('mouseup', onRegionMouseUp, true);
+    document.addEventListener('keydown', onRegionKeyDown, true);
+    regionFrame = requestAnimationFrame(regionAutoScrollLoop);
+  }
+
+  function stopRegionSelector() {
+    if (!regionSelecting) return;
+    regionSelecting = false;
+
+    cancelAnimationFrame(regionFrame);
+    document.removeEventListener('mousemove', onRegionMouseMove, true);
+    document.removeEventListener('mouseup', onRegionMouseUp, true);
+    document.removeEventListener('keydown', onRegionKeyDown, true);
+
+    regionOverlay?.remove();
+    regionBox?.remove();
+    regionLabel?.remove();
+    regionOverlay = null;
+    regionBox = null;
+    regionLabel = null;
+    regionScroller = null;
+    regionStart = null;
+    regionPointer = null;
+  }
+
+  function onRegionMouseDown(e) {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    regionPointer = { x: e.clientX, y: e.clientY };
+    regionStart = toRegionPoint(regionPointer);
+    regionOverlay.style.background = 'transparent';
+    updateRegionBox();
+  }
+
+  function onRegionMouseMove(e) {
+    regionPointer = { x: e.clientX, y: e.clientY };
+    if (regionStart) updateRegionBox();
+  }
+
+  function onRegionMouseUp(e) {
+    if (!regionStart) return;
+    e.preventDefault();
+    regionPointer = { x: e.clientX, y: e.clientY };
+    const rect = currentRegionRect();
+
+    if (rect.width < REGION_MIN_SIZE_PX || rect.height < REGION_MIN_SIZE_PX) {
+      // Too small — let the user try again
+      regionStart = null;
+      regionBox.style.display = 'none';
+      regionOverlay.style.background = 'rgba(0,0,0,0.25)';
+      regionLabel.textContent = 'Drag to select a region · Esc to cancel';
+      return;
+    }
+
+    stopRegionSelector();
+    pickedRegion = rect;
+    chrome.runtime.sendMessage({ action: 'start-capture', mode: 'region' });
+  }
+
+  function onRegionKeyDown(e) {
+    if (e.key !== 'Escape') return;
+    e.preventDefault();
+    e.stopPropagation();
+    stopRegionSelector();
+  }
+
+  // While dragging near an edge of the scroller, keep scrolling so the
+  // selection can extend past the fold
+  function regionAutoScrollLoop() {
+    if (!regionSelecting) return;
+
+    if (regionStart && regionPointer) {
+      const vp = regionViewport();
+      const dx = edgeSpeed(regionPointer.x, vp.left, vp.left + vp.width);
+      const dy = edgeSpeed(regionPointer.y, vp.top, vp.top + vp.height);
+      if (dx || dy) {
+        const scroller = regionScroller || window;
+        scroller.scrollBy({ left: dx, top: dy, behavior: 'instant' });
+        updateRegionBox();
+      }
+    }
+
+    regionFrame = requestAnimationFrame(regionAutoScrollLoop);
+  }
+
+  function edgeSpeed(pos, min, max) {
+    if (pos < min + REGION_EDGE_PX) return -Math.ceil((min + REGION_EDGE_PX - pos) / 3);
+    if (pos > max - REGION_EDGE_PX) return Math.ceil((pos - (max - REGION_EDGE_PX)) / 3);
+    return 0;
+  }
+
+  function regionViewport() {
+    return regionScroller
+      ? measureContainerRect(regionScroller)
+      : { left: 0, top: 0, width: window.innerWidth, height: window.innerHeight };
+  }
+
+  function toRegionPoint(client) {
+    const vp = regionViewport();
+    const { x, y } = scrollPositionOf(regionScroller);
+    return { x: client.x - vp.left + x, y: client.y - vp.top + y };
+  }
+
+  function currentRegionRect() {
+    const end = toRegionPoint(regionPointer);
+    const left = Math.min(regionStart.x, end.x);
+    const top = Math.min(regionStart.y, end.y);
+    return {
+      left: Math.round(left),
+      top: Math.round(top),
+      width: Math.round(Math.abs(end.x - regionStart.x)),
+      height: Math.round(Math.abs(end.y - regionStart.y)),
+    };
+  }
+
+  function updateRegionBox() {
+    const rect = currentRegionRect();
+    const vp = regionViewport();
+    const { x, y } = scrollPositionOf(regionScroller);
+
+    Object.assign(regionBox.style, {
+      display: 'block',
+      left: `${rect.left - x + vp.left}px`,
+      top: `${rect.top - y + vp.top}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`,
+    });
+    regionLabel.textContent = `${rect.width} × ${rect.height} · release to gobble · Esc to cancel`;
+  }
+
+  // ── Redaction ───────────────────────────────────────────────────────────
+  //
+  // With redaction on, find where detected personal data is drawn so the
+  // viewer can mask it in the image: each match's client rects, in the scroll
+  // target's content coordinates (the space captureRegion is in). Text inside
+  // fixed elements is drawn wherever the frame was taken, so those rects stay
+  // viewport-relative and the viewer repeats them on every frame. Sticky ones
+  // are measured unstuck, so they're masked once, where they sit in the page.
+  // Selector matches also send their text, for masking the extracted text,
+  // since no detector would recognise it there.
+
+  function findRedactions(root) {
+    const { matchers, errors } = Redaction.compile(settings);
+    const { x: scrollX, y: scrollY } = currentScrollPosition();
+    const rects = [];
+    const terms = new Set();
+    const fixedCache = new Map();
+    let truncated = false;
+
+    const add = (rect, detector, el) => {
+      if (rect.width === 0 || rect.height === 0) return;
+      if (rects.length >= MAX_REDACTION_RECTS) {
+        truncated = true;
+        return;
+      }
+      if (!fixedCache.has(el)) fixedCache.set(el, hasFixedAncestor(el));
+      const fixed = fixedCache.get(el);
+      rects.push({
+        detector,
+        x: Math.floor(rect.left - scrollViewport.left + (fixed ? 0 : scrollX)),
+        y: Math.floor(rect.top - scrollViewport.top + (fixed ? 0 : scrollY)),
+        w: Math.ceil(rect.width),
+        h: Math.ceil(rect.height),
+        fixed,
+      });
+    };
+
+    if (matchers.length) {
+      const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+        acceptNode(node) {
+          const tag = node.parentElement?.tagName;
+          return !tag || ['SCRIPT', 'STYLE', 'NOSCRIPT'].includes(tag)
+            ? NodeFilter.FILTER_REJECT
+            : NodeFilter.FILTER_ACCEPT;
+        },
+      });
+      while (walker.nextNode()) {
+        const node = walker.currentNode;
+        for (const match of Redaction.find(node.textContent, matchers)) {
+          const range = document.createRange();
+          range.setStart(node, match.start);
+          range.setEnd(node, match.end);
+          for (const rect of range.getClientRects()) add(rect, match.detector, node.parentElement);
+        }
+      }
+
+      // Field values are drawn too, but aren't text nodes — mask the whole field
+      queryScope(root, 'input, textarea').forEach((el) => {
+        if (el.type === 'hidden' || el.type === 'password') return;
+        const [match] = Redaction.find(el.value || '', matchers);
+        if (match) add(el.getBoundingClientRect(), match.detector, el);
+      });
+    }
+
+    for (const selector of settings.redactionSelectors || []) {
+      let matched;
+      try {
+        matched = queryScope(root, selector);
+      } catch (_) {
+        errors.push(`Invalid selector: ${selector}`);
+        continue;
+      }
+      matched.forEach((el) => {
+        add(el.getBoundingClientRect(), 'selector', el);
+        (el.innerText || el.value || '').split('\n')
+          .map(line => line.trim())
+          .filter(line => line.length >= MIN_REDACTION_TERM)
+          .forEach(line => terms.add(line));
+      });
+    }
+
+    return {
+      style: settings.redactionStyle || 'blackout',
+      rects,
+      terms: [...terms],
+      errors,
+      truncated,
+    };
   }
 
   // ── Page Info Collector ─────────────────────────────────────────────────
 
   function collectPageInfo() {
+    // A picked element narrows the DOM extractors to its subtree
+    const scope = captureTarget || document.documentElement;
+
+    // pageY is in page coordinates, like the layout boxes; offsetTop is only
+    // relative to the heading's offsetParent. Sticky headings are measured
+    // unstuck (see finishCapture); only fixed ones stay viewport-relative.
+    const { y: scrollY } = currentScrollPosition();
     const headings = [];
-    document.querySelectorAll('h1, h2, h3').forEach((h) => {
+    queryScope(scope, 'h1, h2, h3').forEach((h) => {
       headings.push({
         level: parseInt(h.tagName[1]),
         text: h.textContent.trim().slice(0, 200),
         offsetTop: h.offsetTop,
+        pageY: Math.round(h.getBoundingClientRect().top - scrollViewport.top + (hasFixedAncestor(h) ? 0 : scrollY)),
       });
     });
 
@@ -239,7 +1732,7 @@
     });
 
     const links = [];
-    document.querySelectorAll('a[href]').forEach((a) => {
+    queryScope(scope, 'a[href]').forEach((a) => {
       const href = a.href;
       const text = a.textContent.trim().slice(0, 100);
       if (href && text && !href.startsWith('javascript:')) {
@@ -247,9 +1740,10 @@
       }
     });
 
-    const visibleText = extractVisibleText();
-    const domStructure = extractDOMStructure();
-    const imageAssets = extractImageAssets();
+    const visibleText = extractVisibleText(captureTarget || document.body);
+    const domStructure = extractDOMStructure(scope);
+    const layout = extractLayout(scope);
+    const imageAssets = extractImageAssets(scope);
     const structuredData = extractStructuredData();
     const designTokens = extractDesignTokens();
 
@@ -257,9 +1751,37 @@
       url: window.location.href,
       title: document.title,
       pageHeight,
+      pageWidth,
       viewportHeight,
-      viewportWidth: window.innerWidth,
+      viewportWidth,
+      tileGrid: { columns: tileColumns, rows: totalScrolls / tileColumns },
+      captureRegion,
+      capturedElement: captureTarget ? {
+        element: describeElement(captureTarget),
+        region: captureRegion,
+      } : null,
+      capturedRegion: captureMode === 'region' ? captureRegion : null,
+      growth: captureMode === 'page' ? {
+        initialHeight: initialPageHeight,
+        finalHeight: pageHeight,
+        capturedHeight: captureRegion.height,
+        grew: pageGrowing,
+        stopReason,
+      } : null,
+      readiness: {
+        warmUp: warmUpStats,
+        frames: frameWaits,
+      },
+      preCaptureActions: actionReport,
+      popupDismissal: dismissReport,
+      redaction: settings.redactPII ? findRedactions(captureTarget || document.body) : null,
+      fixedElements: fixedElementReport,
+      scrollContainer: scrollContainer ? {
+        element: describeElement(scrollContainer),
+        rect: scrollViewport,
+      } : null,
       devicePixelRatio: window.devicePixelRatio,
+      colorScheme: window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light',
       headings,
       metaTags,
       linkCount: links.length,
@@ -268,20 +1790,28 @@
       documentLang: document.documentElement.lang || 'unknown',
       visibleText: visibleText.slice(0, 50000),
       domStructure,
+      layout,
       imageAssets,
       structuredData,
       designTokens,
       consoleLogs: [...capturedConsole],
       stylesheets: extractStylesheets(),
       externalResources: extractExternalResources(),
-      forms: extractForms(),
+      forms: extractForms(scope),
       allLinks: links.slice(0, 200),
     };
   }
 
-  function extractVisibleText() {
+  // querySelectorAll that also considers the root element itself
+  function queryScope(root, selector) {
+    const found = [...root.querySelectorAll(selector)];
+    if (root.matches(selector)) found.unshift(root);
+    return found;
+  }
+
+  function extractVisibleText(root) {
     const walker = document.createTreeWalker(
-      document.body,
+      root,
       NodeFilter.SHOW_TEXT,
       {
         acceptNode(node) {
@@ -313,7 +1843,7 @@
 
   // ── DOM Structure Extractor ────────────────────────────────────────────
 
-  function extractDOMStructure() {
+  function extractDOMStructure(root) {
     const SEMANTIC_TAGS = new Set([
       'html', 'head', 'body', 'header', 'nav', 'main', 'section', 'article',
       'aside', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'form',
@@ -358,14 +1888,80 @@
       return `${indent}<${tag}${attrStr} />\n`;
     }
 
-    return walk(document.documentElement, 0).slice(0, 30000);
+    return walk(root, 0).slice(0, 30000);
+  }
+
+  // ── Layout Extractor ──────────────────────────────────────────────────
+  //
+  // Bounding boxes of what an agent or a test would look for, in the scroll
+  // target's content coordinates (the space captureRegion is in), measured
+  // after the last frame. Sticky elements are still unstuck then, so they're
+  // placed where they sit in the page. Fixed ones are marked `fixed` and keep
+  // their viewport position, which is where the first frame shows them.
+
+  function extractLayout(root) {
+    const KINDS = [
+      ['heading', 'h1, h2, h3, h4, h5, h6'],
+      ['link', 'a[href]'],
+      ['button', 'button, [role="button"], input[type="button"], input[type="submit"], input[type="reset"]'],
+      ['field', 'input:not([type="hidden"]):not([type="button"]):not([type="submit"]):not([type="reset"]), select, textarea'],
+      ['image', 'img, svg[role="img"], [role="img"]'],
+      ['landmark', 'header, nav, main, aside, footer, [role="banner"], [role="navigation"], [role="main"], ' +
+        '[role="complementary"], [role="contentinfo"], [role="search"], [role="region"], [role="form"]'],
+    ];
+    const LANDMARK_ROLES = { header: 'banner', nav: 'navigation', main: 'main', aside: 'complementary', footer: 'contentinfo' };
+    const short = (text, max = 120) => (text || '').replace(/\s+/g, ' ').trim().slice(0, max);
+    const { x: scrollX, y: scrollY } = currentScrollPosition();
+
+    const boxes = [];
+    for (const [kind, selector] of KINDS) {
+      for (const el of queryScope(root, selector)) {
+        if (boxes.length >= MAX_LAYOUT_BOXES) return boxes;
+        const rect = el.getBoundingClientRect();
+        if (rect.width === 0 || rect.height === 0 || !el.checkVisibility({ visibilityProperty: true })) continue;
+
+        const fixed = hasFixedAncestor(el);
+        const box = {
+          kind,
+          element: describeElement(el),
+          x: Math.round(rect.left - scrollViewport.left + (fixed ? 0 : scrollX)),
+          y: Math.round(rect.top - scrollViewport.top + (fixed ? 0 : scrollY)),
+          w: Math.round(rect.width),
+          h: Math.round(rect.height),
+        };
+        if (fixed) box.fixed = true;
+
+        const ariaLabel = el.getAttribute('aria-label');
+        if (kind === 'heading') {
+          box.level = parseInt(el.tagName[1]);
+          box.label = short(el.textContent);
+        } else if (kind === 'link') {
+          box.label = short(ariaLabel || el.textContent);
+          box.href = (typeof el.href === 'string' ? el.href : el.getAttribute('href')).slice(0, 500); // SVG links too
+        } else if (kind === 'button') {
+          box.label = short(ariaLabel || el.textContent || el.value);
+        } else if (kind === 'field') {
+          box.type = el.type || el.tagName.toLowerCase();
+          box.name = el.name || '';
+          box.label = short(ariaLabel || el.labels?.[0]?.textContent || el.placeholder);
+        } else if (kind === 'image') {
+          box.label = short(el.getAttribute('alt') || ariaLabel);
+          if (el.currentSrc || el.src) box.src = (el.currentSrc || el.src).slice(0, 500);
+        } else {
+          box.role = el.getAttribute('role') || LANDMARK_ROLES[el.tagName.toLowerCase()];
+          box.label = short(ariaLabel);
+        }
+        boxes.push(box);
+      }
+    }
+    return boxes;
   }
 
   // ── Image Assets Extractor ────────────────────────────────────────────
 
-  function extractImageAssets() {
+  function extractImageAssets(root) {
     const images = [];
-    document.querySelectorAll('img').forEach((img) => {
+    queryScope(root, 'img').forEach((img) => {
       images.push({
         src: img.src || img.dataset.src || '',
         alt: img.alt || '',
@@ -376,7 +1972,7 @@
     });
 
     const bgImages = [];
-    document.querySelectorAll('[style*="background"], section, div, header, footer').forEach((el) => {
+    queryScope(root, '[style*="background"], section, div, header, footer').forEach((el) => {
       const bg = getComputedStyle(el).backgroundImage;
       if (bg && bg !== 'none' && bg.startsWith('url(')) {
         const url = bg.slice(4, -1).replace(/["']/g, '');
@@ -549,11 +2145,18 @@
 
   // ── Form Extractor ────────────────────────────────────────────────────
 
-  function extractForms() {
+  function extractForms(root) {
     const forms = [];
-    document.querySelectorAll('form').forEach((form) => {
+    const formEls = queryScope(root, 'form');
+
+    // Picked a fragment inside a form — describe that form, limited to the fragment's fields
+    const enclosing = formEls.length === 0 ? root.parentElement?.closest('form') : null;
+    if (enclosing) formEls.push(enclosing);
+
+    formEls.forEach((form) => {
       const fields = [];
-      form.querySelectorAll('input, select, textarea, button').forEach((el) => {
+      const fieldScope = form === enclosing ? root : form;
+      queryScope(fieldScope, 'input, select, textarea, button').forEach((el) => {
         const field = {
           tag: el.tagName.toLowerCase(),
           type: el.type || '',
@@ -580,52 +2183,231 @@
   }
 
   // ── Fixed Element Management ────────────────────────────────────────────
+  //
+  // Every fixed/sticky element gets a policy deciding where it appears in the
+  // stitched output:
+  //   top      — only in the first row of frames (site headers)
+  //   bottom   — only in the last row of frames (footers, cookie bars)
+  //   hide     — in no frame
+  //   leave    — untouched, repeats wherever it sits on screen
+  //   in-place — sticky only: unstuck, so it shows once where it lives
+  // User rules ("policy selector") win over the automatic classification, and
+  // may also target elements that aren't fixed (e.g. "hide .ad-slot").
+
+  const FIXED_POLICIES = new Set(['top', 'bottom', 'hide', 'leave', 'in-place']);
+
+  function resetFixedElements() {
+    restoreFixedElements();
+    fixedElementReport = [];
+  }
 
-  function detectFixedElements() {
-    fixedElements = [];
-    // Target likely fixed/sticky elements instead of scanning entire DOM
-    const candidates = document.querySelectorAll(
-      'header, footer, nav, aside, ' +
-      '[role="banner"], [role="navigation"], [role="toolbar"], ' +
-      '[class*="fixed"], [class*="sticky"], [class*="toolbar"], ' +
-      '[class*="header"], [class*="footer"], [class*="nav-"], [class*="navbar"], ' +
-      '[class*="cookie"], [class*="banner"], [class*="toast"], ' +
-      '[class*="chat"], [class*="widget"], [class*="float"], ' +
-      '[class*="dock"], [class*="sidebar"], [class*="overlay"], ' +
-      '[style*="position"]'
-    );
-    candidates.forEach((el) => {
+  /**
+   * Find fixed/sticky elements not seen yet. Runs before every frame, so
+   * elements that only become fixed after scrolling (shrinking headers,
+   * "back to top" buttons) are picked up too: the first call scans the whole
+   * body, later ones only the nodes added or restyled since.
+   */
+  function scanFixedElements() {
+    const known = new Set(fixedElements.map(f => f.el));
+    const candidates = fixedObserver ? takeFixedCandidates() : document.body.querySelectorAll('*');
+    if (!fixedObserver) watchFixedCandidates();
+    const keep = captureTarget;
+
+    const add = (el, position, policy, source) => {
+      if (known.has(el)) return;
+      // Fixed/sticky nodes around or inside a picked element stay visible
+      if (keep && (el.contains(keep) || keep.contains(el))) return;
+      // Our own picker/selector chrome is never part of the page
+      if (el === pickerHighlight || el === pickerLabel || el === regionOverlay) return;
+      known.add(el);
+      fixedElements.push({
+        el,
+        position,
+        policy,
+        source,
+        origVisibility: el.style.visibility,
+        origPosition: el.style.position,
+        hiddenFrames: 0,
+        shownFrames: 0,
+      });
+    };
+
+    // User rules first, so they claim their elements before auto-classification
+    for (const { selector, policy } of settings.fixedElementRules || []) {
+      if (!FIXED_POLICIES.has(policy)) continue;
+      let matches = [];
+      try {
+        matches = document.querySelectorAll(selector);
+      } catch (_) { continue; /* invalid selector */ }
+      matches.forEach((el) => {
+        const position = getComputedStyle(el).position;
+        add(el, position, policy === 'in-place' && position !== 'sticky' ? 'top' : policy, 'rule');
+      });
+    }
+
+    for (const { el, style } of positionedElements(candidates, known)) {
+      add(el, style.position, ruledPolicy(el) || autoFixedPolicy(el, style), 'auto');
+    }
+  }
+
+  /**
+   * Fixed and sticky elements among candidates (in document order), with
+   * their computed style. Only the outermost: a fixed child of a found or
+   * `known` element follows its parent. Shared by the per-frame policy scan
+   * and popup dismissal.
+   */
+  function positionedElements(candidates, known = new Set()) {
+    const seen = new Set(known);
+    const found = [];
+    for (const el of candidates) {
+      if (seen.has(el) || !el.isConnected) continue;
       const style = getComputedStyle(el);
-      if (style.position === 'fixed' || style.position === 'sticky') {
-        fixedElements.push({
-          el,
-          origVisibility: el.style.visibility,
-        });
-      }
+      if (style.position !== 'fixed' && style.position !== 'sticky') continue;
+      if (hasAncestorIn(el, seen)) continue;
+      seen.add(el);
+      found.push({ el, style });
+    }
+    return found;
+  }
+
+  function hasAncestorIn(el, set) {
+    for (let p = el.parentElement; p; p = p.parentElement) {
+      if (set.has(p)) return true;
+    }
+    return false;
+  }
+
+  // Added subtrees, and elements whose class or inline style changed
+  function watchFixedCandidates() {
+    fixedCandidates = new Set();
+    fixedObserver = new MutationObserver(collectFixedCandidates);
+    fixedObserver.observe(document.body, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: ['class', 'style'],
     });
+  }
 
-    // Also check direct children of body (common for fixed overlays)
-    for (const child of document.body.children) {
-      if (fixedElements.some(f => f.el === child)) continue;
-      const style = getComputedStyle(child);
-      if (style.position === 'fixed' || style.position === 'sticky') {
-        fixedElements.push({
-          el: child,
-          origVisibility: child.style.visibility,
-        });
+  // A class change can make descendants fixed too (body.scrolled .header),
+  // so the whole subtree is a candidate. Our own style changes on managed
+  // elements, made every frame, are not.
+  function collectFixedCandidates(records) {
+    const managed = new Set(fixedElements.map(f => f.el));
+    const addSubtree = (el) => {
+      fixedCandidates.add(el);
+      el.querySelectorAll('*').forEach(child => fixedCandidates.add(child));
+    };
+    for (const record of records) {
+      if (record.type === 'attributes') {
+        if (record.attributeName === 'style' && managed.has(record.target)) continue;
+        addSubtree(record.target);
+        continue;
       }
+      record.addedNodes.forEach((node) => {
+        if (node.nodeType === Node.ELEMENT_NODE) addSubtree(node);
+      });
+    }
+  }
+
+  function takeFixedCandidates() {
+    collectFixedCandidates(fixedObserver.takeRecords());
+    const taken = fixedCandidates;
+    fixedCandidates = new Set();
+    return taken;
+  }
+
+  // Rules also cover fixed descendants of what they match
+  function ruledPolicy(el) {
+    for (const { selector, policy } of settings.fixedElementRules || []) {
+      if (!FIXED_POLICIES.has(policy)) continue;
+      try {
+        if (el.closest(selector)) return policy;
+      } catch (_) { /* invalid selector */ }
     }
+    return null;
+  }
+
+  function autoFixedPolicy(el, style) {
+    if (style.position === 'sticky') return 'in-place';
+    const rect = el.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return 'hide';
+    // Anchored to the lower half: footers, cookie bars, chat launchers
+    if (rect.top >= window.innerHeight / 2) return 'bottom';
+    // Anchored to the top and not covering the screen: headers, nav bars
+    if (rect.top <= window.innerHeight * 0.1 && rect.bottom <= window.innerHeight / 2) return 'top';
+    // Full-screen overlays, mid-screen modals and floating widgets
+    return 'hide';
+  }
+
+  /**
+   * Show or hide each managed element for the frame about to be captured.
+   * Picked elements and regions have no "first" or "last" row of the page,
+   * so top/bottom elements stay hidden there. With wholePage (beyond-viewport
+   * capture) every row is in one shot, so top and bottom both show. Returns
+   * true if anything changed and a repaint is needed before capturing.
+   */
+  function applyFixedPolicies(index, wholePage = false) {
+    const row = Math.floor(index / tileColumns);
+    const lastRow = Math.ceil(totalScrolls / tileColumns) - 1;
+    let changed = false;
+
+    fixedElements.forEach((f) => {
+      if (f.policy === 'leave') return;
+
+      if (f.policy === 'in-place') {
+        if (f.el.style.position !== 'static') {
+          f.el.style.position = 'static';
+          changed = true;
+        }
+        f.shownFrames++;
+        return;
+      }
+
+      let show = false;
+      if (captureMode === 'page') {
+        show = (f.policy === 'top' && (wholePage || row === 0)) ||
+          (f.policy === 'bottom' && (wholePage || row === lastRow));
+      }
+      const visibility = show ? f.origVisibility : 'hidden';
+      if (f.el.style.visibility !== visibility) {
+        f.el.style.visibility = visibility;
+        changed = true;
+      }
+      if (show) {
+        f.shownFrames++;
+      } else {
+        f.hiddenFrames++;
+      }
+    });
+
+    return changed;
+  }
+
+  function summarizeFixedElements() {
+    return fixedElements.map(f => ({
+      element: describeElement(f.el),
+      position: f.position,
+      policy: f.policy,
+      source: f.source,
+      hiddenFrames: f.hiddenFrames,
+      shownFrames: f.shownFrames,
+    }));
   }
 
-  function applyFixedElementHiding() {
-    fixedElements.forEach(({ el }) => {
-      el.style.visibility = 'hidden';
+  function showFixedElements() {
+    fixedElements.forEach(({ el, origVisibility }) => {
+      el.style.visibility = origVisibility;
     });
   }
 
   function restoreFixedElements() {
-    fixedElements.forEach(({ el, origVisibility }) => {
+    fixedObserver?.disconnect();
+    fixedObserver = null;
+    fixedCandidates = new Set();
+    fixedElements.forEach(({ el, origVisibility, origPosition }) => {
       el.style.visibility = origVisibility;
+      el.style.position = origPosition;
     });
     fixedElements = [];
   }
@@ -0,0 +1,185 @@
+/**
+ * PageGobbler — Annotations
+ * Vector markup drawn over a capture: boxes, arrows, freehand strokes,
+ * numbered callouts, text labels and highlights. Every annotation is kept in
+ * page coordinates (CSS px from the document's top-left, like the content
+ * script's rects), so it can be drawn onto any canvas showing any part of the
+ * page — the viewer's editing overlays and the section images alike.
+ *   - rect, highlight: { x, y, w, h }
+ *   - arrow:           { points: [[x1, y1], [x2, y2]] } — head at the end
+ *   - freehand:        { points: [[x, y], ...] }
+ *   - callout:         { x, y, number } — centre of the numbered badge
+ *   - text:            { x, y, text } — top-left of the label
+ * plus { id, type, color } on all of them.
+ */
+
+const Annotations = {
+  TYPES: ['rect', 'arrow', 'freehand', 'callout', 'text', 'highlight'],
+  STROKE_WIDTH: 3,
+  FONT_SIZE: 16,
+  CALLOUT_RADIUS: 12,
+  HIGHLIGHT_ALPHA: 0.35,
+
+  /**
+   * Draw annotations onto a canvas. `view` maps page coordinates to canvas
+   * pixels: canvas = (page - origin) * scale.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {Array} annotations
+   * @param {{scale: number, originX: number, originY: number, selectedId?: string}} view
+   */
+  draw(ctx, annotations, view) {
+    ctx.save();
+    ctx.scale(view.scale, view.scale);
+    ctx.translate(-view.originX, -view.originY);
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    for (const a of annotations) {
+      ctx.save();
+      ctx.strokeStyle = a.color;
+      ctx.fillStyle = a.color;
+      ctx.lineWidth = this.STROKE_WIDTH;
+      this._drawers[a.type]?.call(this, ctx, a);
+      ctx.restore();
+
+      if (a.id === view.selectedId) {
+        const b = this.bounds(a);
+        ctx.save();
+        ctx.strokeStyle = '#2196f3';
+        ctx.lineWidth = 1 / view.scale;
+        ctx.setLineDash([4 / view.scale, 3 / view.scale]);
+        ctx.strokeRect(b.x - 4, b.y - 4, b.w + 8, b.h + 8);
+        ctx.restore();
+      }
+    }
+    ctx.restore();
+  },
+
+  _drawers: {
+    rect(ctx, a) {
+      ctx.strokeRect(a.x, a.y, a.w, a.h);
+    },
+
+    highlight(ctx, a) {
+      ctx.globalAlpha = this.HIGHLIGHT_ALPHA;
+      ctx.fillRect(a.x, a.y, a.w, a.h);
+    },
+
+    arrow(ctx, a) {
+      const [[x1, y1], [x2, y2]] = a.points;
+      const angle = Math.atan2(y2 - y1, x2 - x1);
+      const head = this.STROKE_WIDTH * 4;
+      ctx.beginPath();
+      ctx.moveTo(x1, y1);
+      ctx.lineTo(x2 - Math.cos(angle) * head * 0.8, y2 - Math.sin(angle) * head * 0.8);
+      ctx.stroke();
+      ctx.beginPath();
+      ctx.moveTo(x2, y2);
+      ctx.lineTo(x2 - head * Math.cos(angle - Math.PI / 7), y2 - head * Math.sin(angle - Math.PI / 7));
+      ctx.lineTo(x2 - head * Math.cos(angle + Math.PI / 7), y2 - head * Math.sin(angle + Math.PI / 7));
+      ctx.closePath();
+      ctx.fill();
+    },
+
+    freehand(ctx, a) {
+      ctx.beginPath();
+      a.points.forEach(([x, y], i) => (i ? ctx.lineTo(x, y) : ctx.moveTo(x, y)));
+      ctx.stroke();
+    },
+
+    callout(ctx, a) {
+      ctx.beginPath();
+      ctx.arc(a.x, a.y, this.CALLOUT_RADIUS, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = '#fff';
+      ctx.font = `bold ${this.CALLOUT_RADIUS * 1.1}px sans-serif`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(String(a.number), a.x, a.y + 1);
+    },
+
+    text(ctx, a) {
+      const size = this.FONT_SIZE;
+      ctx.font = `bold ${size}px sans-serif`;
+      ctx.textBaseline = 'top';
+      // A light backing keeps the label readable on any background
+      const width = ctx.measureText(a.text).width;
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+      ctx.fillRect(a.x - 3, a.y - 3, width + 6, size + 6);
+      ctx.fillStyle = a.color;
+      ctx.fillText(a.text, a.x, a.y);
+    },
+  },
+
+  /** Bounding box in page coordinates. */
+  bounds(a) {
+    switch (a.type) {
+      case 'arrow':
+      case 'freehand': {
+        const xs = a.points.map(p => p[0]);
+        const ys = a.points.map(p => p[1]);
+        const x = Math.min(...xs);
+        const y = Math.min(...ys);
+        return { x, y, w: Math.max(...xs) - x, h: Math.max(...ys) - y };
+      }
+      case 'callout': {
+        const r = this.CALLOUT_RADIUS;
+        return { x: a.x - r, y: a.y - r, w: r * 2, h: r * 2 };
+      }
+      case 'text':
+        // Close enough for hit-testing and culling without a canvas to measure on
+        return { x: a.x, y: a.y, w: a.text.length * this.FONT_SIZE * 0.6, h: this.FONT_SIZE };
+      default:
+        return {
+          x: Math.min(a.x, a.x + a.w),
+          y: Math.min(a.y, a.y + a.h),
+          w: Math.abs(a.w),
+          h: Math.abs(a.h),
+        };
+    }
+  },
+
+  /** Whether page point (x, y) is on the annotation, within `tolerance` px. */
+  hitTest(a, x, y, tolerance = 4) {
+    if (a.type === 'arrow' || a.type === 'freehand') {
+      const reach = tolerance + this.STROKE_WIDTH;
+      return a.points.some((p, i) => i > 0 && this._segmentDistance(x, y, a.points[i - 1], p) <= reach);
+    }
+    if (a.type === 'rect') {
+      // Boxes are picked by their outline, so whatever they frame stays clickable
+      const b = this.bounds(a);
+      const reach = tolerance + this.STROKE_WIDTH;
+      const inOuter = x >= b.x - reach && x <= b.x + b.w + reach && y >= b.y - reach && y <= b.y + b.h + reach;
+      const inInner = x > b.x + reach && x < b.x + b.w - reach && y > b.y + reach && y < b.y + b.h - reach;
+      return inOuter && !inInner;
+    }
+    const b = this.bounds(a);
+    return x >= b.x - tolerance && x <= b.x + b.w + tolerance &&
+      y >= b.y - tolerance && y <= b.y + b.h + tolerance;
+  },
+
+  /** Move an annotation by (dx, dy) page px, in place. */
+  translate(a, dx, dy) {
+    if (a.points) {
+      a.points = a.points.map(([x, y]) => [x + dx, y + dy]);
+    } else {
+      a.x += dx;
+      a.y += dy;
+    }
+  },
+
+  /** Whether any part of the annotation falls within page rows top..bottom. */
+  intersectsRows(a, top, bottom) {
+    const b = this.bounds(a);
+    const pad = this.STROKE_WIDTH * 4; // arrow heads and strokes overhang their points
+    return b.y - pad < bottom && b.y + b.h + pad > top;
+  },
+
+  _segmentDistance(x, y, [x1, y1], [x2, y2]) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const len = dx * dx + dy * dy;
+    const t = len ? Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / len)) : 0;
+    return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+  },
+};
@@ -0,0 +1,77 @@
+/**
+ * PageGobbler — IndexedDB
+ * The extension's one database, its upgrade path, and the transaction
+ * helpers the stores share.
+ *   v1: sessions, frames        (session-store.js)
+ *   v2: library, libraryData    (library-store.js)
+ */
+
+const DB_NAME = 'pagegobbler';
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+export function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = (event) => {
+        const db = req.result;
+        if (event.oldVersion < 1) {
+          const sessions = db.createObjectStore('sessions', { keyPath: 'id' });
+          sessions.createIndex('updatedAt', 'updatedAt');
+          const frames = db.createObjectStore('frames', { keyPath: 'id', autoIncrement: true });
+          frames.createIndex('sessionId', 'sessionId');
+        }
+        if (event.oldVersion < 2) {
+          const library = db.createObjectStore('library', { keyPath: 'id' });
+          library.createIndex('capturedAt', 'capturedAt');
+          db.createObjectStore('libraryData', { keyPath: 'id' });
+        }
+      };
+      // Another extension page still holds the old version open
+      req.onblocked = () => console.warn('PageGobbler database upgrade waiting for other tabs to close');
+      req.onsuccess = () => {
+        const db = req.result;
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      req.onerror = () => {
+        dbPromise = null;
+        reject(req.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+export function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Run fn against the named stores in one transaction; resolves with fn's
+ * result once the transaction has committed.
+ */
+export async function withStores(names, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(names, mode);
+    let result;
+    Promise.resolve(fn(...names.map(n => tx.objectStore(n))))
+      .then((value) => { result = value; })
+      .catch((err) => {
+        tx.abort();
+        reject(err);
+      });
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
@@ -9,44 +9,54 @@ const ImageProcessor = {
   SECTION_MAX_HEIGHT: 4096,
 
   /**
-   * Stitch an array of viewport captures into a single full-page canvas.
-   * @param {Array} captures - [{dataUrl, scrollY, viewportHeight, clipHeight, index}]
-   * @param {Object} pageInfo - {pageHeight, viewportWidth, devicePixelRatio}
+   * Stitch an array of viewport captures into a single canvas.
+   * Each capture's viewportRect is the part of its frame (viewport CSS px)
+   * that belongs to the captured region; scrollX/scrollY place it within the
+   * region. This covers whole pages, inner scroll containers, 2D tile grids
+   * and single picked elements alike.
+   *
+   * Frames are fetched, decoded and drawn one at a time, so only one is held
+   * in memory however long the page is.
+   * @param {Array} captures - [{frameId, scrollX, scrollY, clipWidth, clipHeight, viewportRect, index}]
+   * @param {Object} pageInfo - {captureRegion, pageHeight, pageWidth, devicePixelRatio}
+   * @param {(capture: Object) => Promise<Blob|ImageBitmap>} loadFrame - fetches one frame's image
    * @returns {Promise<HTMLCanvasElement>}
    */
-  async stitch(captures, pageInfo) {
-    // Sort by scroll position
-    captures.sort((a, b) => a.scrollY - b.scrollY);
-
-    // Load all images
-    const images = await Promise.all(
-      captures.map(c => this._loadImage(c.dataUrl))
-    );
+  async stitch(captures, pageInfo, loadFrame) {
+    // Sort by scroll position — row by row, left to right
+    captures.sort((a, b) => (a.scrollY - b.scrollY) || ((a.scrollX || 0) - (b.scrollX || 0)));
 
     // Determine output dimensions
     // The captured images are at device pixel ratio scale
     const dpr = pageInfo.devicePixelRatio || 1;
-    const canvasWidth = images[0].naturalWidth;
-    const scaledPageHeight = Math.ceil(pageInfo.pageHeight * dpr);
+    const region = pageInfo.captureRegion || { width: pageInfo.pageWidth, height: pageInfo.pageHeight };
 
     const canvas = document.createElement('canvas');
-    canvas.width = canvasWidth;
-    canvas.height = scaledPageHeight;
+    canvas.width = Math.ceil(region.width * dpr);
+    canvas.height = Math.ceil(region.height * dpr);
     const ctx = canvas.getContext('2d');
 
     // Draw each capture at its scroll offset
-    captures.forEach((cap, i) => {
-      const img = images[i];
+    for (const cap of captures) {
+      const frame = await loadFrame(cap);
+      if (!frame) throw new Error(`Frame ${cap.index} is missing`);
+      const bitmap = frame instanceof Blob ? await createImageBitmap(frame) : frame;
+      const rect = cap.viewportRect;
+      const srcX = Math.round(rect.left * dpr);
+      const srcY = Math.round(rect.top * dpr);
+      const destX = Math.round((cap.scrollX || 0) * dpr);
       const destY = Math.round(cap.scrollY * dpr);
-      const srcHeight = Math.round(cap.clipHeight * dpr);
+      const width = Math.round(cap.clipWidth * dpr);
+      const height = Math.round(cap.clipHeight * dpr);
 
-      // Clip to only the valid region (last capture might be partial)
+      // Clip to only the valid region (last row/column might be partial)
       ctx.drawImage(
-        img,
-        0, 0, img.naturalWidth, srcHeight,  // source rect
-        0, destY, canvasWidth, srcHeight     // dest rect
+        bitmap,
+        srcX, srcY, width, height,  // source rect
+        destX, destY, width, height  // dest rect
       );
-    });
+      bitmap.close();
+    }
 
     return canvas;
   },
@@ -65,8 +75,10 @@ const ImageProcessor = {
     // Strategy: try formats in order of efficiency
     const attempts = [];
 
+    // Lossless can't trade detail for size: the PNG is kept even over budget
     if (strategy === 'lossless') {
-      return this._tryFormat(canvas, 'image/png', 1.0, maxSize);
+      const blob = await this._canvasToBlob(canvas, 'image/png', 1.0);
+      return { blob, format: 'image/png', quality: 1.0, scaled: false };
     }
 
     // Try WebP first (best compression)
@@ -220,13 +232,4 @@ const ImageProcessor = {
       canvas.toBlob((blob) => resolve(blob), type, quality);
     });
   },
-
-  _loadImage(src) {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      img.onload = () => resolve(img);
-      img.onerror = reject;
-      img.src = src;
-    });
-  },
 };
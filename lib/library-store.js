@@ -0,0 +1,106 @@
+/**
+ * PageGobbler — Capture Library Store
+ * Finished captures kept after their viewer tab closes, in IndexedDB:
+ *   - library:     summaries for browsing and search — { id, title, url,
+ *                  domains, capturedAt, savedAt, tags, thumbnail,
+ *                  searchText, pageCount, sectionCount, sizeBytes }
+ *   - libraryData: what the viewer needs to reopen and re-export one — the
+ *                  compressed sections, page info, metadata, text and
+ *                  annotations of each result, as processed
+ * Both are keyed by the ID of the session the capture was saved from.
+ * An ES module, loaded by extension pages with import().
+ */
+
+import { promisify, withStores } from './db.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MB = 1024 * 1024;
+
+export const LibraryStore = {
+  /**
+   * Save (or re-save) a capture. Tags and the first save time survive a
+   * re-save, so reloading a viewer tab doesn't reset them.
+   */
+  async saveCapture(summary, data) {
+    await withStores(['library', 'libraryData'], 'readwrite', async (library, libraryData) => {
+      const existing = await promisify(library.get(summary.id));
+      library.put({
+        tags: [],
+        ...summary,
+        ...(existing && { tags: existing.tags, savedAt: existing.savedAt }),
+      });
+      const stored = await promisify(libraryData.get(summary.id));
+      // Annotations edited since the first save win over the viewer's copy
+      libraryData.put({ ...data, annotations: { ...data.annotations, ...stored?.annotations } });
+    });
+  },
+
+  /** All summaries, newest capture first. */
+  async listCaptures() {
+    const all = await withStores(['library'], 'readonly', library => promisify(library.getAll()));
+    return all.sort((a, b) => b.capturedAt - a.capturedAt);
+  },
+
+  /** Summary and data of one capture, or null. */
+  async getCapture(id) {
+    if (!id) return null;
+    return withStores(['library', 'libraryData'], 'readonly', async (library, libraryData) => {
+      const [summary, data] = await Promise.all([
+        promisify(library.get(id)),
+        promisify(libraryData.get(id)),
+      ]);
+      return summary && data ? { ...summary, ...data } : null;
+    });
+  },
+
+  /** Merge changes (e.g. tags) into a summary; resolves with it, or null. */
+  async updateCapture(id, changes) {
+    return withStores(['library'], 'readwrite', async (library) => {
+      const summary = await promisify(library.get(id));
+      if (!summary) return null;
+      Object.assign(summary, changes);
+      library.put(summary);
+      return summary;
+    });
+  },
+
+  /** Store one result's annotations; a no-op for captures not in the library. */
+  async updateAnnotations(id, key, annotations) {
+    if (!id) return;
+    await withStores(['libraryData'], 'readwrite', async (libraryData) => {
+      const data = await promisify(libraryData.get(id));
+      if (!data) return;
+      data.annotations = { ...data.annotations, [key]: annotations };
+      libraryData.put(data);
+    });
+  },
+
+  async deleteCapture(id) {
+    await withStores(['library', 'libraryData'], 'readwrite', (library, libraryData) => {
+      library.delete(id);
+      libraryData.delete(id);
+    });
+  },
+
+  /**
+   * Delete captures older than maxAgeDays, then the oldest ones until the
+   * library fits in maxSizeMB (0 turns either limit off). `keep` is never
+   * deleted — the capture just saved. Resolves with the number deleted.
+   */
+  async prune({ maxAgeDays = 0, maxSizeMB = 0, keep = null } = {}) {
+    const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * DAY_MS : -Infinity;
+    const budget = maxSizeMB > 0 ? maxSizeMB * MB : Infinity;
+    let total = 0;
+    const doomed = [];
+    for (const entry of await this.listCaptures()) {
+      const fits = total + (entry.sizeBytes || 0) <= budget;
+      if (entry.id === keep || (entry.capturedAt >= cutoff && fits)) {
+        total += entry.sizeBytes || 0;
+      } else {
+        doomed.push(entry.id);
+      }
+    }
+    for (const id of doomed) await this.deleteCapture(id);
+    return doomed.length;
+  },
+};
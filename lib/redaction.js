@@ -0,0 +1,124 @@
+/**
+ * PageGobbler — PII Redaction
+ * Detectors for personal data and secrets, shared by the content script
+ * (which finds where matches sit on the page) and the viewer (which masks
+ * the same strings in the extracted text). A detector is a global regex,
+ * plus a validator where the pattern alone would catch too much:
+ *   - email, phone, credit-card (Luhn-checked), api-key
+ * Custom patterns from settings become detectors named custom-1, custom-2, …
+ *
+ * Assigned to window rather than declared, because the content script is
+ * injected again on every capture.
+ */
+
+window.Redaction = {
+  DETECTORS: {
+    email: {
+      pattern: /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi,
+    },
+    phone: {
+      pattern: /(?<![\w+])(?:\+?\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)|\d{2,4})[\s.-]\d{3,4}[\s.-]?\d{3,4}(?!\w)/g,
+      validate: (m) => {
+        const digits = m.replace(/\D/g, '').length;
+        return digits >= 9 && digits <= 15;
+      },
+    },
+    'credit-card': {
+      pattern: /(?<!\d)(?:\d[ -]?){12,18}\d(?!\d)/g,
+      validate: m => Redaction.luhn(m.replace(/\D/g, '')),
+    },
+    'api-key': {
+      // Well-known key prefixes, JWTs, and long mixed letter/digit tokens
+      pattern: /\b(?:(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{16,}|gh[pousr]_[A-Za-z0-9]{36,}|AKIA[0-9A-Z]{16}|xox[abprs]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35}|eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}|[A-Za-z0-9_-]{32,})/g,
+      validate: m => m.length < 32 || (/[A-Za-z]/.test(m) && /\d/.test(m)),
+    },
+  },
+
+  /**
+   * Matchers for the enabled detectors and custom patterns. Custom patterns
+   * that don't compile (or match the empty string) are left out and named in
+   * `errors`.
+   * @param {{redactionDetectors?: string[], redactionPatterns?: string[]}} settings
+   * @returns {{matchers: Array<{name, regex, validate?}>, errors: string[]}}
+   */
+  compile(settings) {
+    const matchers = [];
+    const errors = [];
+    for (const name of settings.redactionDetectors || []) {
+      const detector = this.DETECTORS[name];
+      if (detector) matchers.push({ name, regex: new RegExp(detector.pattern), validate: detector.validate });
+    }
+    (settings.redactionPatterns || []).forEach((source, i) => {
+      const name = `custom-${i + 1}`;
+      try {
+        const regex = new RegExp(source, 'g');
+        if (regex.test('')) throw new Error('matches empty text');
+        matchers.push({ name, regex });
+      } catch (err) {
+        errors.push(`${name}: ${err.message}`);
+      }
+    });
+    return { matchers, errors };
+  },
+
+  /**
+   * Non-overlapping matches in text, in order; where two detectors overlap
+   * the earlier (then longer) match wins.
+   * @returns {Array<{start: number, end: number, detector: string}>}
+   */
+  find(text, matchers) {
+    const found = [];
+    for (const { name, regex, validate } of matchers) {
+      regex.lastIndex = 0;
+      for (const m of text.matchAll(regex)) {
+        if (!m[0] || (validate && !validate(m[0]))) continue;
+        found.push({ start: m.index, end: m.index + m[0].length, detector: name });
+      }
+    }
+    found.sort((a, b) => (a.start - b.start) || (b.end - a.end));
+    const kept = [];
+    for (const match of found) {
+      if (kept.length && match.start < kept[kept.length - 1].end) continue;
+      kept.push(match);
+    }
+    return kept;
+  },
+
+  /**
+   * Replace every match (and every literal `term`) with [REDACTED:<detector>],
+   * adding to `counts` per detector.
+   */
+  mask(text, matchers, terms = [], counts = {}) {
+    if (typeof text !== 'string' || !text) return text;
+    let out = '';
+    let last = 0;
+    for (const { start, end, detector } of this.find(text, matchers)) {
+      out += `${text.slice(last, start)}[REDACTED:${detector}]`;
+      last = end;
+      counts[detector] = (counts[detector] || 0) + 1;
+    }
+    out += text.slice(last);
+
+    for (const term of terms) {
+      const parts = out.split(term);
+      if (parts.length < 2) continue;
+      counts.selector = (counts.selector || 0) + parts.length - 1;
+      out = parts.join('[REDACTED:selector]');
+    }
+    return out;
+  },
+
+  luhn(digits) {
+    if (digits.length < 13 || digits.length > 19) return false;
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+      let d = Number(digits[digits.length - 1 - i]);
+      if (i % 2 === 1) {
+        d *= 2;
+        if (d > 9) d -= 9;
+      }
+      sum += d;
+    }
+    return sum % 10 === 0;
+  },
+};
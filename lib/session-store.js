@@ -0,0 +1,100 @@
+/**
+ * PageGobbler — Capture Session Store
+ * IndexedDB persistence for capture sessions, so a capture outlives the
+ * service worker that took it and the viewer can load any session by ID.
+ *   - sessions: { id, kind, status, createdAt, updatedAt, data, ... }
+ *     kind: capture | batch | schedule; status: capturing | done
+ *   - frames:   { id (auto), sessionId, blob } — one PNG per viewport / tile;
+ *     capture data refers to them by frameId instead of inlining data URLs
+ * An ES module: the background worker imports it, extension pages can load
+ * it with import().
+ */
+
+import { promisify, withStores } from './db.js';
+
+const ABANDONED_AFTER_MS = 24 * 60 * 60 * 1000; // "capturing" this long = never finished
+
+export const SessionStore = {
+  /** Create and store a new session; resolves with it. */
+  async createSession(kind, fields = {}) {
+    const now = Date.now();
+    const session = {
+      id: crypto.randomUUID(),
+      kind,
+      status: 'capturing',
+      createdAt: now,
+      updatedAt: now,
+      data: null,
+      ...fields,
+    };
+    await withStores(['sessions'], 'readwrite', sessions => promisify(sessions.put(session)));
+    return session;
+  },
+
+  async getSession(id) {
+    if (!id) return null;
+    const session = await withStores(['sessions'], 'readonly', sessions => promisify(sessions.get(id)));
+    return session || null;
+  },
+
+  /**
+   * Update a session in place. `changes` is either an object merged into the
+   * record or a function that mutates it (read-modify-write in one transaction).
+   */
+  async updateSession(id, changes) {
+    return withStores(['sessions'], 'readwrite', async (sessions) => {
+      const session = await promisify(sessions.get(id));
+      if (!session) return null;
+      if (typeof changes === 'function') {
+        changes(session);
+      } else {
+        Object.assign(session, changes);
+      }
+      session.updatedAt = Date.now();
+      await promisify(sessions.put(session));
+      return session;
+    });
+  },
+
+  /** Delete a session and all of its frames. */
+  async deleteSession(id) {
+    await withStores(['sessions', 'frames'], 'readwrite', async (sessions, frames) => {
+      sessions.delete(id);
+      const keys = await promisify(frames.index('sessionId').getAllKeys(id));
+      keys.forEach(key => frames.delete(key));
+    });
+  },
+
+  /** Store one frame image; resolves with its frameId. */
+  async putFrame(sessionId, blob) {
+    return withStores(['frames'], 'readwrite', frames => promisify(frames.add({ sessionId, blob })));
+  },
+
+  async getFrame(frameId) {
+    const frame = await withStores(['frames'], 'readonly', frames => promisify(frames.get(frameId)));
+    return frame?.blob || null;
+  },
+
+  async deleteFrames(frameIds) {
+    if (!frameIds.length) return;
+    await withStores(['frames'], 'readwrite', (frames) => {
+      frameIds.forEach(id => frames.delete(id));
+    });
+  },
+
+  /**
+   * Keep the newest `keep` finished sessions and any still capturing; delete
+   * the rest, and abandoned captures, with their frames.
+   */
+  async pruneSessions(keep) {
+    const all = await withStores(['sessions'], 'readonly', sessions => promisify(sessions.getAll()));
+    const finished = all
+      .filter(s => s.status !== 'capturing')
+      .sort((a, b) => b.updatedAt - a.updatedAt);
+    const abandoned = all
+      .filter(s => s.status === 'capturing' && Date.now() - s.updatedAt > ABANDONED_AFTER_MS);
+    for (const session of [...finished.slice(keep), ...abandoned]) {
+      await this.deleteSession(session.id);
+    }
+  },
+};
@@ -0,0 +1,219 @@
+/**
+ * PageGobbler — Library Page
+ * Browse the captures kept in IndexedDB (lib/library-store.js): search their
+ * text and titles, filter by domain, date and tag, reopen or re-export one in
+ * the viewer, delete, and set how much the library may keep.
+ */
+
+const MB = 1024 * 1024;
+
+(async () => {
+  const { LibraryStore } = await import('../lib/library-store.js');
+
+  const grid = document.getElementById('library-grid');
+  const empty = document.getElementById('library-empty');
+  const count = document.getElementById('library-count');
+  const usage = document.getElementById('usage');
+  const search = document.getElementById('search');
+  const filterDomain = document.getElementById('filter-domain');
+  const filterTag = document.getElementById('filter-tag');
+  const filterFrom = document.getElementById('filter-from');
+  const filterTo = document.getElementById('filter-to');
+  const retentionForm = document.getElementById('retention-form');
+  const saveToLibrary = document.getElementById('set-save-to-library');
+  const maxAge = document.getElementById('set-max-age');
+  const maxSize = document.getElementById('set-max-size');
+  const btnPrune = document.getElementById('btn-prune');
+  const retentionStatus = document.getElementById('retention-status');
+
+  let entries = [];
+  let thumbnailUrls = [];
+
+  // ── Load ──────────────────────────────────────────────────────────────
+
+  async function load() {
+    entries = await LibraryStore.listCaptures();
+    fillFilter(filterDomain, 'All domains', entries.flatMap(e => e.domains || []));
+    fillFilter(filterTag, 'All tags', entries.flatMap(e => e.tags || []));
+    render();
+    showUsage();
+  }
+
+  // Keeps the current choice if it's still on offer
+  function fillFilter(select, allLabel, values) {
+    const current = select.value;
+    const options = [...new Set(values)].sort();
+    select.innerHTML = '';
+    select.add(new Option(allLabel, ''));
+    options.forEach(value => select.add(new Option(value, value)));
+    select.value = options.includes(current) ? current : '';
+  }
+
+  async function showUsage() {
+    const libraryBytes = entries.reduce((n, e) => n + (e.sizeBytes || 0), 0);
+    let text = `Library: ${formatMB(libraryBytes)} in ${entries.length} capture(s)`;
+    try {
+      const estimate = await navigator.storage.estimate();
+      text += ` · Extension storage: ${formatMB(estimate.usage)} of ${formatMB(estimate.quota)}`;
+    } catch (_) {
+      // No estimate — the library's own total is still worth showing
+    }
+    usage.textContent = text;
+  }
+
+  // ── Search and filters ────────────────────────────────────────────────
+
+  // Every search word must appear somewhere in the capture's text or title
+  function matches(entry) {
+    const words = search.value.toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.some(word => !entry.searchText?.includes(word))) return false;
+    if (filterDomain.value && !entry.domains?.includes(filterDomain.value)) return false;
+    if (filterTag.value && !entry.tags?.includes(filterTag.value)) return false;
+    if (filterFrom.value && entry.capturedAt < new Date(`${filterFrom.value}T00:00`).getTime()) return false;
+    if (filterTo.value && entry.capturedAt > new Date(`${filterTo.value}T23:59:59.999`).getTime()) return false;
+    return true;
+  }
+
+  [search, filterDomain, filterTag, filterFrom, filterTo].forEach((el) => {
+    el.addEventListener('input', render);
+  });
+
+  // ── Cards ─────────────────────────────────────────────────────────────
+
+  function render() {
+    thumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+    thumbnailUrls = [];
+    grid.innerHTML = '';
+
+    const shown = entries.filter(matches);
+    shown.forEach(entry => grid.appendChild(createCard(entry)));
+    empty.hidden = entries.length > 0;
+    count.textContent = entries.length ? `${shown.length} of ${entries.length}` : '';
+  }
+
+  function createCard(entry) {
+    const card = document.createElement('article');
+    card.className = 'library-card';
+
+    const thumb = document.createElement('img');
+    thumb.className = 'library-card-thumb';
+    thumb.alt = '';
+    thumb.title = 'Open in the viewer';
+    if (entry.thumbnail) {
+      thumb.src = URL.createObjectURL(entry.thumbnail);
+      thumbnailUrls.push(thumb.src);
+    }
+    thumb.addEventListener('click', () => openInViewer(entry.id));
+
+    const body = document.createElement('div');
+    body.className = 'library-card-body';
+
+    const title = document.createElement('div');
+    title.className = 'library-card-title';
+    title.textContent = entry.title || entry.url;
+    title.title = title.textContent;
+
+    const url = document.createElement('div');
+    url.className = 'library-card-url';
+    url.textContent = entry.url;
+    url.title = entry.url;
+
+    const meta = document.createElement('div');
+    meta.className = 'library-card-meta';
+    meta.textContent = [
+      new Date(entry.capturedAt).toLocaleString(),
+      entry.pageCount > 1 ? `${entry.pageCount} pages` : null,
+      `${entry.sectionCount} section(s)`,
+      formatMB(entry.sizeBytes),
+    ].filter(Boolean).join(' · ');
+
+    // Comma-separated; saved when the field loses focus
+    const tags = document.createElement('input');
+    tags.className = 'library-card-tags';
+    tags.placeholder = 'Tags, comma-separated';
+    tags.value = (entry.tags || []).join(', ');
+    tags.addEventListener('change', async () => {
+      const list = [...new Set(tags.value.split(',').map(t => t.trim()).filter(Boolean))];
+      await LibraryStore.updateCapture(entry.id, { tags: list });
+      entry.tags = list;
+      fillFilter(filterTag, 'All tags', entries.flatMap(e => e.tags || []));
+    });
+
+    body.append(title, url, meta, tags);
+
+    const actions = document.createElement('div');
+    actions.className = 'section-card-actions';
+    actions.append(
+      actionButton('Open', () => openInViewer(entry.id)),
+      actionButton('Export ZIP', () => openInViewer(entry.id, 'zip')),
+      actionButton('Delete', async () => {
+        if (!confirm(`Delete "${entry.title || entry.url}" from the library?`)) return;
+        await LibraryStore.deleteCapture(entry.id);
+        load();
+      }),
+    );
+
+    card.append(thumb, body, actions);
+    return card;
+  }
+
+  function actionButton(label, onClick) {
+    const btn = document.createElement('button');
+    btn.textContent = label;
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
+
+  // Re-exporting runs through the viewer too: it rebuilds the capture from
+  // the saved sections, then starts the ZIP download itself
+  function openInViewer(id, exportFormat) {
+    const query = `library=${encodeURIComponent(id)}${exportFormat ? `&export=${exportFormat}` : ''}`;
+    chrome.tabs.create({ url: chrome.runtime.getURL(`viewer/viewer.html?${query}`) });
+  }
+
+  // ── Retention ─────────────────────────────────────────────────────────
+
+  chrome.runtime.sendMessage({ action: 'get-settings' }, (response) => {
+    const s = response?.settings || {};
+    saveToLibrary.checked = !!s.saveToLibrary;
+    maxAge.value = s.libraryMaxAgeDays ?? 0;
+    maxSize.value = s.libraryMaxSizeMB ?? 0;
+  });
+
+  function readLimits() {
+    return {
+      maxAgeDays: Math.max(0, parseInt(maxAge.value) || 0),
+      maxSizeMB: Math.max(0, parseFloat(maxSize.value) || 0),
+    };
+  }
+
+  retentionForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const { maxAgeDays, maxSizeMB } = readLimits();
+    const settings = {
+      saveToLibrary: saveToLibrary.checked,
+      libraryMaxAgeDays: maxAgeDays,
+      libraryMaxSizeMB: maxSizeMB,
+    };
+    chrome.runtime.sendMessage({ action: 'save-settings', settings }, () => {
+      retentionStatus.textContent = 'Saved. New limits apply from the next capture, or Prune Now.';
+    });
+  });
+
+  btnPrune.addEventListener('click', async () => {
+    const deleted = await LibraryStore.prune(readLimits());
+    retentionStatus.textContent = deleted ? `Pruned ${deleted} capture(s).` : 'Nothing to prune.';
+    load();
+  });
+
+  // Captures saved from other tabs while this one is open
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') load();
+  });
+
+  function formatMB(bytes) {
+    return `${((bytes || 0) / MB).toFixed(1)} MB`;
+  }
+
+  load();
+})();
@@ -0,0 +1,238 @@
+/**
+ * PageGobbler — Options Page (Presets)
+ * Create, edit, delete, export and import named presets, and choose whether
+ * they sync. Storage is the background worker's business; this page only
+ * talks to it through messages, like the popup.
+ */
+
+const ZIP_ARTIFACTS = [
+  ['sections', 'Image sections'],
+  ['metadata', 'metadata.json'],
+  ['text', 'page_text.txt'],
+  ['dom', 'dom_structure.html'],
+  ['layout', 'layout.json'],
+  ['designTokens', 'design_tokens.json'],
+  ['styles', 'styles.css'],
+  ['assets', 'assets.json'],
+  ['structuredData', 'structured_data.json'],
+  ['resources', 'resources.json'],
+  ['forms', 'forms.json'],
+  ['links', 'links.json'],
+  ['console', 'console.log'],
+];
+const COMMAND_SLOTS = 3; // manifest commands preset-1 … preset-3
+const EXPORT_FORMAT = 'pagegobbler-presets';
+
+document.addEventListener('DOMContentLoaded', () => {
+  const presetList = document.getElementById('preset-list');
+  const form = document.getElementById('preset-form');
+  const nameInput = document.getElementById('preset-name');
+  const artifactGrid = document.getElementById('artifact-grid');
+  const btnNew = document.getElementById('btn-new');
+  const btnDelete = document.getElementById('btn-delete');
+  const btnExport = document.getElementById('btn-export');
+  const btnImport = document.getElementById('btn-import');
+  const importFile = document.getElementById('import-file');
+  const syncCheckbox = document.getElementById('sync-presets');
+  const status = document.getElementById('status');
+  const fields = [...form.querySelectorAll('[data-field]')];
+
+  let presets = [];
+  let selectedId = null;
+
+  ZIP_ARTIFACTS.forEach(([key, label]) => {
+    const group = document.createElement('div');
+    group.className = 'setting-group checkbox';
+    group.innerHTML = `<label><input type="checkbox" data-artifact="${key}" checked> <span></span></label>`;
+    group.querySelector('span').textContent = label;
+    artifactGrid.appendChild(group);
+  });
+
+  document.getElementById('link-shortcuts').addEventListener('click', (e) => {
+    e.preventDefault();
+    chrome.tabs.create({ url: 'chrome://extensions/shortcuts' });
+  });
+
+  // ── Load ──────────────────────────────────────────────────────────────
+
+  function load(selectId) {
+    chrome.runtime.sendMessage({ action: 'get-presets' }, (response) => {
+      presets = response?.presets || [];
+      syncCheckbox.checked = !!response?.sync;
+      const keep = presets.find(p => p.id === (selectId ?? selectedId));
+      select(keep || presets[0] || null);
+    });
+  }
+
+  function renderList() {
+    presetList.innerHTML = '';
+    presets.forEach((preset, i) => {
+      const li = document.createElement('li');
+      li.classList.toggle('selected', preset.id === selectedId);
+      const name = document.createElement('span');
+      name.textContent = preset.name;
+      li.appendChild(name);
+      if (i < COMMAND_SLOTS) {
+        const key = document.createElement('span');
+        key.className = 'preset-key';
+        key.textContent = `preset ${i + 1}`;
+        li.appendChild(key);
+      }
+      li.addEventListener('click', () => select(preset));
+      presetList.appendChild(li);
+    });
+  }
+
+  function select(preset) {
+    selectedId = preset?.id || null;
+    renderList();
+    fillForm(preset);
+  }
+
+  // ── Form ──────────────────────────────────────────────────────────────
+
+  function fillForm(preset) {
+    const settings = preset?.settings || {};
+    nameInput.value = preset?.name || '';
+    fields.forEach((el) => {
+      const value = settings[el.dataset.field];
+      el.value = value === undefined ? '' : String(value);
+    });
+    artifactGrid.querySelectorAll('[data-artifact]').forEach((box) => {
+      box.checked = settings.zipArtifacts?.[box.dataset.artifact] !== false;
+    });
+    btnDelete.disabled = !preset;
+  }
+
+  // Empty fields are left out, so the preset doesn't touch them
+  function readForm() {
+    const settings = {};
+    fields.forEach((el) => {
+      if (el.value === '') return;
+      const { field, type } = el.dataset;
+      if (type === 'number') {
+        const n = parseFloat(el.value);
+        if (Number.isFinite(n)) settings[field] = n;
+      } else if (type === 'boolean') {
+        settings[field] = el.value === 'true';
+      } else {
+        settings[field] = el.value;
+      }
+    });
+    settings.zipArtifacts = {};
+    artifactGrid.querySelectorAll('[data-artifact]').forEach((box) => {
+      settings.zipArtifacts[box.dataset.artifact] = box.checked;
+    });
+
+    const existing = presets.find(p => p.id === selectedId);
+    return {
+      id: existing?.id,
+      createdAt: existing?.createdAt,
+      name: nameInput.value.trim(),
+      settings,
+    };
+  }
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const preset = readForm();
+    // The debugger is optional; ask now, while there is a click to ask on,
+    // rather than when a shortcut runs the preset
+    const { captureEngine, colorScheme } = preset.settings;
+    if (captureEngine === 'devtools' || (colorScheme && colorScheme !== 'system')) {
+      await chrome.permissions.request({ permissions: ['debugger'] });
+    }
+    chrome.runtime.sendMessage({ action: 'save-preset', preset }, (response) => {
+      if (response?.error) {
+        showStatus(response.error, 'error');
+        return;
+      }
+      showStatus(`Saved ${response.preset.name}.`, 'success');
+      load(response.preset.id);
+    });
+  });
+
+  btnNew.addEventListener('click', () => {
+    selectedId = null;
+    renderList();
+    fillForm(null);
+    nameInput.focus();
+  });
+
+  btnDelete.addEventListener('click', () => {
+    const preset = presets.find(p => p.id === selectedId);
+    if (!preset || !confirm(`Delete the preset "${preset.name}"?`)) return;
+    chrome.runtime.sendMessage({ action: 'remove-preset', id: preset.id }, () => {
+      showStatus(`Deleted ${preset.name}.`);
+      selectedId = null;
+      load();
+    });
+  });
+
+  // ── Export / import ───────────────────────────────────────────────────
+
+  btnExport.addEventListener('click', () => {
+    const file = {
+      format: EXPORT_FORMAT,
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      presets: presets.map(({ name, settings }) => ({ name, settings })),
+    };
+    const url = URL.createObjectURL(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }));
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'pagegobbler-presets.json';
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  });
+
+  btnImport.addEventListener('click', () => importFile.click());
+
+  importFile.addEventListener('change', async () => {
+    const [file] = importFile.files;
+    importFile.value = '';
+    if (!file) return;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(await file.text());
+    } catch (_) {
+      showStatus(`${file.name} isn't valid JSON.`, 'error');
+      return;
+    }
+    // Our export format, or a bare array of presets
+    const list = parsed?.format === EXPORT_FORMAT ? parsed.presets : parsed;
+    chrome.runtime.sendMessage({ action: 'import-presets', presets: list }, (response) => {
+      if (response?.error && !response.imported) {
+        showStatus(response.error, 'error');
+        return;
+      }
+      const dropped = response.dropped?.length ? ` Left out invalid settings: ${response.dropped.join('; ')}.` : '';
+      showStatus(`Imported ${response.imported} preset(s)${response.error ? ` — stopped: ${response.error}` : ''}.${dropped}`,
+        response.error || dropped ? 'error' : 'success');
+      load();
+    });
+  });
+
+  // ── Sync ──────────────────────────────────────────────────────────────
+
+  syncCheckbox.addEventListener('change', () => {
+    const enabled = syncCheckbox.checked;
+    chrome.runtime.sendMessage({ action: 'set-preset-sync', enabled }, (response) => {
+      if (response?.error) {
+        syncCheckbox.checked = !enabled;
+        showStatus(`Couldn't move presets: ${response.error}`, 'error');
+        return;
+      }
+      showStatus(enabled ? 'Presets now sync with your Chrome profile.' : 'Presets are now stored on this device only.', 'success');
+      load();
+    });
+  });
+
+  function showStatus(text, kind = '') {
+    status.className = `status ${kind}`.trim();
+    status.textContent = text;
+  }
+
+  load();
+});
@@ -4,6 +4,19 @@
 
 document.addEventListener('DOMContentLoaded', () => {
   const btnCapture = document.getElementById('btn-capture');
+  const btnPick = document.getElementById('btn-pick');
+  const btnRegion = document.getElementById('btn-region');
+  const btnResponsive = document.getElementById('btn-responsive');
+  const batchToggle = document.getElementById('batch-toggle');
+  const batchPanel = document.getElementById('batch-panel');
+  const batchSource = document.getElementById('batch-source');
+  const batchUrls = document.getElementById('batch-urls');
+  const btnBatch = document.getElementById('btn-batch');
+  const scheduleToggle = document.getElementById('schedule-toggle');
+  const schedulePanel = document.getElementById('schedule-panel');
+  const scheduleUrl = document.getElementById('schedule-url');
+  const scheduleList = document.getElementById('schedule-list');
+  const btnSchedule = document.getElementById('btn-schedule');
   const settingsToggle = document.getElementById('settings-toggle');
   const settingsPanel = document.getElementById('settings-panel');
   const status = document.getElementById('status');
@@ -11,25 +24,217 @@ document.addEventListener('DOMContentLoaded', () => {
   const qualityLabel = document.getElementById('quality-label');
   const oneClickCheckbox = document.getElementById('set-oneclick');
   const oneClickHint = document.getElementById('oneclick-hint');
+  const captureControls = document.getElementById('capture-controls');
+  const captureControlsLabel = document.getElementById('capture-controls-label');
+  const btnPause = document.getElementById('btn-pause');
+  const btnStop = document.getElementById('btn-stop');
+  const btnCancel = document.getElementById('btn-cancel');
+  const presetSelect = document.getElementById('preset-select');
+  const btnManagePresets = document.getElementById('btn-manage-presets');
+  const btnLibrary = document.getElementById('btn-library');
+  const profileBadge = document.getElementById('profile-badge');
+  const profileToggle = document.getElementById('profile-toggle');
+  const profilePanel = document.getElementById('profile-panel');
+  const profileStatus = document.getElementById('profile-status');
+  const profilePattern = document.getElementById('profile-pattern');
+  const profileHide = document.getElementById('profile-hide');
+  const btnSaveProfile = document.getElementById('btn-save-profile');
+  const btnRemoveProfile = document.getElementById('btn-remove-profile');
 
   // ── Load saved settings ───────────────────────────────────────────────
 
-  chrome.runtime.sendMessage({ action: 'get-settings' }, (response) => {
-    if (!response?.settings) return;
-    const s = response.settings;
+  // The form edits the global settings; the page's profile is shown apart
+  let pageUrl = null;
+  let matchedProfile = null;
+
+  chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+    pageUrl = tab?.url?.startsWith('http') ? tab.url : null;
+    chrome.runtime.sendMessage({ action: 'get-settings', url: pageUrl }, (response) => {
+      if (!response?.settings) return;
+      fillSettings(response.settings);
+      showProfile(response.profile);
+    });
+  });
+
+  function fillSettings(s) {
 
     document.getElementById('set-max-size').value = s.maxFileSizeMB || 3;
     document.getElementById('set-compression').value = s.compressionStrategy || 'auto';
+    document.getElementById('set-engine').value = s.captureEngine || 'scroll';
+    document.getElementById('set-color-scheme').value = s.colorScheme || 'system';
+    document.getElementById('set-responsive-widths').value = (s.responsiveWidths || []).join(', ');
     document.getElementById('set-section-height').value = s.sectionMaxHeight || 4096;
+    document.getElementById('set-scroll-container').value = s.scrollContainerSelector || '';
     document.getElementById('set-ocr').checked = s.enableOCR !== false;
     document.getElementById('set-sections').checked = s.enableSections !== false;
+    document.getElementById('set-full-width').checked = s.captureFullWidth === true;
+    document.getElementById('set-follow-growth').checked = s.followGrowth !== false;
+    document.getElementById('set-max-height').value = s.maxPageHeight ?? 0;
+    document.getElementById('set-max-viewports').value = s.maxViewports ?? 0;
+    document.getElementById('set-stall-scrolls').value = s.growthStallScrolls ?? 2;
+    document.getElementById('set-stop-selector').value = s.stopAtSelector || '';
+    document.getElementById('set-fixed-rules').value = formatFixedRules(s.fixedElementRules);
+    document.getElementById('set-dismiss-popups').checked = s.dismissPopups !== false;
+    document.getElementById('set-actions').value = formatActions(s.preCaptureActions);
+    document.getElementById('set-redact').checked = s.redactPII === true;
+    document.getElementById('set-redaction-style').value = s.redactionStyle || 'blackout';
+    document.querySelectorAll('[data-detector]').forEach((box) => {
+      box.checked = (s.redactionDetectors || []).includes(box.dataset.detector);
+    });
+    document.getElementById('set-redaction-patterns').value = (s.redactionPatterns || []).join('\n');
+    document.getElementById('set-redaction-selectors').value = (s.redactionSelectors || []).join('\n');
+    document.getElementById('set-warmup').checked = s.warmUpLazyLoad === true;
+    document.getElementById('set-readiness').checked = s.waitForReadiness !== false;
+    document.getElementById('set-readiness-timeout').value = s.readinessTimeoutMs || 2000;
+    document.getElementById('set-quiet-ms').value = s.mutationQuietMs ?? 200;
+    document.getElementById('set-batch-retries').value = s.batchRetries ?? 1;
     oneClickCheckbox.checked = s.oneClickMode === true;
     qualitySlider.value = s.quality || 0.92;
     qualityLabel.textContent = `${Math.round((s.quality || 0.92) * 100)}%`;
 
     updateOneClickHint(s.oneClickMode === true);
+  }
+
+  // ── Presets ───────────────────────────────────────────────────────────
+
+  chrome.runtime.sendMessage({ action: 'get-presets' }, (response) => {
+    (response?.presets || []).forEach((preset) => {
+      const option = document.createElement('option');
+      option.value = preset.id;
+      option.textContent = `Preset: ${preset.name}`;
+      presetSelect.appendChild(option);
+    });
+    presetSelect.value = response?.activePresetId || '';
+  });
+
+  // The choice sticks for later captures, shortcuts and 1-click mode too
+  presetSelect.addEventListener('change', () => {
+    chrome.runtime.sendMessage({ action: 'set-active-preset', id: presetSelect.value || null });
+  });
+
+  btnManagePresets.addEventListener('click', () => chrome.runtime.openOptionsPage());
+  btnLibrary.addEventListener('click', () => chrome.tabs.create({ url: chrome.runtime.getURL('library/library.html') }));
+
+  // ── Site profile ──────────────────────────────────────────────────────
+
+  profileToggle.addEventListener('click', () => {
+    profileToggle.classList.toggle('open');
+    profilePanel.classList.toggle('open');
+  });
+
+  function showProfile(profile) {
+    matchedProfile = profile || null;
+    profileBadge.hidden = !profile;
+    profileBadge.textContent = profile ? `Using site profile: ${profile.pattern}` : '';
+    btnRemoveProfile.hidden = !profile;
+    btnSaveProfile.disabled = !pageUrl;
+
+    if (profile) {
+      const count = Object.keys(profile.overrides || {}).length;
+      profileStatus.textContent = `This page uses ${profile.pattern} (${count} settings overridden).`;
+      profilePattern.value = profile.pattern;
+      profileHide.value = (profile.hideSelectors || []).join('\n');
+    } else {
+      profileStatus.textContent = pageUrl
+        ? 'No profile matches this page.'
+        : 'Profiles apply to http(s) pages only.';
+      profilePattern.value = pageUrl ? new URL(pageUrl).hostname.replace(/^www\./, '') : '';
+      profileHide.value = '';
+    }
+  }
+
+  btnSaveProfile.addEventListener('click', () => {
+    const pattern = profilePattern.value.trim();
+    if (!pattern) {
+      showError('Enter the host or URL pattern the profile applies to.');
+      return;
+    }
+    if (!checkActions()) return;
+
+    // Editing the matched profile keeps it; a different pattern makes a new one
+    const editing = matchedProfile?.pattern === pattern ? matchedProfile : null;
+    chrome.runtime.sendMessage({ action: 'get-settings' }, (response) => {
+      const profile = {
+        id: editing?.id,
+        pattern,
+        overrides: { ...editing?.overrides, ...changedSettings(gatherSettings(), response?.settings || {}) },
+        hideSelectors: profileHide.value.split('\n').map(s => s.trim()).filter(Boolean),
+      };
+      chrome.runtime.sendMessage({ action: 'save-profile', profile }, (saved) => {
+        if (saved?.error) {
+          showError(saved.error);
+          return;
+        }
+        status.className = 'status success';
+        status.textContent = `Profile saved for ${saved.profile.pattern}.`;
+        refreshProfile();
+      });
+    });
   });
 
+  // Only what differs from the global settings: the rest keeps following them
+  function changedSettings(form, global) {
+    return Object.fromEntries(Object.entries(form)
+      .filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(global[key])));
+  }
+
+  btnRemoveProfile.addEventListener('click', () => {
+    if (!matchedProfile) return;
+    chrome.runtime.sendMessage({ action: 'remove-profile', id: matchedProfile.id }, () => {
+      status.className = 'status';
+      status.textContent = `Profile ${matchedProfile.pattern} removed.`;
+      refreshProfile();
+    });
+  });
+
+  // The saved pattern may not match this page, so ask again which one does
+  function refreshProfile() {
+    chrome.runtime.sendMessage({ action: 'get-settings', url: pageUrl }, (response) => {
+      showProfile(response?.profile);
+    });
+  }
+
+  // ── Capture in progress ───────────────────────────────────────────────
+
+  let capturePaused = false;
+
+  function refreshCaptureControls() {
+    chrome.runtime.sendMessage({ action: 'get-progress' }, (response) => {
+      const phase = response?.phase;
+      const active = phase && !['idle', 'done', 'error', 'cancelled'].includes(phase) && !response.error;
+      captureControls.hidden = !active;
+      if (!active) return;
+
+      capturePaused = !!response.paused;
+      btnPause.textContent = capturePaused ? 'Resume' : 'Pause';
+      btnPause.disabled = phase === 'loading' || phase === 'processing';
+      btnStop.disabled = phase === 'loading' || phase === 'processing' || !!response.stopping;
+      captureControlsLabel.textContent = capturePaused
+        ? `Capture paused — ${response.current} captured`
+        : response.batch
+          ? `Batch in progress — page ${response.batch.index + 1} of ${response.batch.total}`
+          : 'Capture in progress';
+    });
+  }
+
+  btnPause.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: capturePaused ? 'resume-capture' : 'pause-capture' });
+    refreshCaptureControls();
+  });
+
+  btnStop.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'stop-capture' });
+    refreshCaptureControls();
+  });
+
+  btnCancel.addEventListener('click', () => {
+    chrome.runtime.sendMessage({ action: 'cancel-capture' });
+    refreshCaptureControls();
+  });
+
+  refreshCaptureControls();
+  setInterval(refreshCaptureControls, 500);
+
   // ── Quality slider ────────────────────────────────────────────────────
 
   qualitySlider.addEventListener('input', () => {
@@ -42,8 +247,10 @@ document.addEventListener('DOMContentLoaded', () => {
     const enabled = oneClickCheckbox.checked;
     updateOneClickHint(enabled);
 
-    // Save just the oneClickMode setting right away
+    // Save just the oneClickMode setting right away; unreadable actions
+    // are left as they were stored
     const settings = gatherSettings();
+    if (!checkActions()) delete settings.preCaptureActions;
     chrome.runtime.sendMessage({ action: 'save-settings', settings });
   });
 
@@ -64,39 +271,219 @@ document.addEventListener('DOMContentLoaded', () => {
     settingsPanel.classList.toggle('open');
   });
 
-  // ── Capture button ────────────────────────────────────────────────────
+  // ── Batch ─────────────────────────────────────────────────────────────
+
+  batchToggle.addEventListener('click', () => {
+    batchToggle.classList.toggle('open');
+    batchPanel.classList.toggle('open');
+  });
+
+  batchSource.addEventListener('change', () => {
+    document.getElementById('batch-urls-group').hidden = batchSource.value !== 'urls';
+  });
+
+  btnBatch.addEventListener('click', async () => {
+    const source = batchSource.value;
+    const urls = batchUrls.value.split('\n').map(u => u.trim()).filter(Boolean);
+    if (source === 'urls' && urls.length === 0) {
+      showError('Paste at least one URL.');
+      return;
+    }
+    if (!checkActions()) return;
 
-  btnCapture.addEventListener('click', async () => {
-    btnCapture.disabled = true;
+    // activeTab only covers the tab the popup was opened on
+    const granted = await chrome.permissions.request({
+      origins: ['<all_urls>'],
+      permissions: debuggerPermissions(gatherSettings(), false),
+    });
+    if (!granted) {
+      showError('Batch capture needs access to the pages it opens.');
+      return;
+    }
+
+    setButtonsDisabled(true);
     status.className = 'status';
-    status.textContent = 'Gobbling page...';
+    status.textContent = 'Starting batch...';
+
+    chrome.runtime.sendMessage({ action: 'save-settings', settings: gatherSettings() }, () => {
+      chrome.windows.getCurrent((win) => {
+        chrome.runtime.sendMessage({ action: 'start-batch', source, urls, windowId: win.id });
+        status.textContent = 'Gobbling batch... results will open in a new tab.';
+        setTimeout(() => window.close(), 800);
+      });
+    });
+  });
 
+  // ── Schedules ─────────────────────────────────────────────────────────
+
+  scheduleToggle.addEventListener('click', () => {
+    scheduleToggle.classList.toggle('open');
+    schedulePanel.classList.toggle('open');
+    if (schedulePanel.classList.contains('open')) loadSchedules();
+  });
+
+  // Suggest the page the popup was opened on
+  chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
+    if (tab?.url?.startsWith('http')) scheduleUrl.value = tab.url;
+  });
+
+  btnSchedule.addEventListener('click', async () => {
+    const url = scheduleUrl.value.trim();
+    if (!/^https?:\/\//.test(url)) {
+      showError('Enter an http(s) URL to schedule.');
+      return;
+    }
+
+    // Scheduled runs open the page in a background window
+    const granted = await chrome.permissions.request({
+      origins: ['<all_urls>'],
+      permissions: debuggerPermissions(gatherSettings(), false),
+    });
+    if (!granted) {
+      showError('Scheduled capture needs access to the pages it opens.');
+      return;
+    }
+
+    const schedule = {
+      url,
+      intervalMinutes: parseInt(document.getElementById('schedule-interval').value) || 60,
+      thresholdPercent: parseFloat(document.getElementById('schedule-threshold').value) || 0,
+    };
+    chrome.runtime.sendMessage({ action: 'save-schedule', schedule }, () => {
+      status.className = 'status success';
+      status.textContent = 'Scheduled. The first run records a baseline.';
+      loadSchedules();
+    });
+  });
+
+  function loadSchedules() {
+    chrome.runtime.sendMessage({ action: 'get-schedules' }, (response) => {
+      renderSchedules(response?.schedules || []);
+    });
+  }
+
+  function renderSchedules(schedules) {
+    scheduleList.replaceChildren(...schedules.map((schedule) => {
+      const item = document.createElement('li');
+      item.className = 'schedule-item';
+
+      const info = document.createElement('div');
+      info.className = 'schedule-info';
+      const name = document.createElement('div');
+      name.className = 'schedule-name';
+      name.textContent = schedule.title || schedule.url;
+      name.title = schedule.url;
+      const detail = document.createElement('div');
+      detail.className = 'schedule-detail';
+      detail.textContent = `Every ${schedule.intervalMinutes} min · ${describeLastRun(schedule.history?.[0])}`;
+      if (schedule.history?.[0]?.changed) detail.classList.add('changed');
+      info.append(name, detail);
+
+      const remove = document.createElement('button');
+      remove.className = 'schedule-remove';
+      remove.textContent = '×';
+      remove.title = 'Remove schedule';
+      remove.addEventListener('click', () => {
+        chrome.runtime.sendMessage({ action: 'remove-schedule', id: schedule.id }, (response) => {
+          renderSchedules(response?.schedules || []);
+        });
+      });
+
+      item.append(info, remove);
+      return item;
+    }));
+  }
+
+  function describeLastRun(entry) {
+    if (!entry) return 'not run yet';
+    const when = new Date(entry.at).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    if (entry.status === 'error') return `failed ${when}`;
+    if (entry.status === 'baseline') return `baseline ${when}`;
+    const text = Math.round(entry.textChange * 100);
+    const image = Math.round(entry.imageChange * 100);
+    return `${entry.changed ? 'changed' : 'unchanged'} ${when} (text ${text}%, image ${image}%)`;
+  }
+
+  // ── Capture buttons ───────────────────────────────────────────────────
+
+  btnCapture.addEventListener('click', () => {
+    startOnActiveTab('start-capture', 'Gobbling page...', 'Gobbling... results will open in a new tab.');
+  });
+
+  btnPick.addEventListener('click', () => {
+    startOnActiveTab('start-picker', 'Starting picker...', 'Hover an element and click to gobble it.');
+  });
+
+  btnResponsive.addEventListener('click', () => {
+    startOnActiveTab('start-responsive-capture', 'Gobbling page...', 'Gobbling each width... results will open in a new tab.');
+  });
+
+  btnRegion.addEventListener('click', () => {
+    startOnActiveTab('start-region-select', 'Starting selector...', 'Drag a rectangle on the page to gobble it.');
+  });
+
+  async function startOnActiveTab(action, pendingText, startedText) {
+    if (!checkActions()) return;
     const settings = gatherSettings();
+    const responsive = action === 'start-responsive-capture';
+
+    // Without the debugger the DevTools engine falls back to scrolling, but
+    // there is no way to emulate a width or color scheme
+    const permissions = debuggerPermissions(settings, responsive);
+    if (permissions.length && !(await chrome.permissions.request({ permissions }))) {
+      if (responsive || settings.colorScheme !== 'system') {
+        showError('Responsive and color-scheme capture need the debugger permission.');
+        return;
+      }
+    }
+
+    setButtonsDisabled(true);
+    status.className = 'status';
+    status.textContent = pendingText;
 
     chrome.runtime.sendMessage({ action: 'save-settings', settings }, () => {
       chrome.tabs.query({ active: true, currentWindow: true }, ([tab]) => {
         if (!tab) {
-          status.className = 'status error';
-          status.textContent = 'No active tab found.';
-          btnCapture.disabled = false;
+          showError('No active tab found.');
           return;
         }
 
         if (tab.url.startsWith('chrome://') || tab.url.startsWith('chrome-extension://')) {
-          status.className = 'status error';
-          status.textContent = 'Cannot capture browser internal pages.';
-          btnCapture.disabled = false;
+          showError('Cannot capture browser internal pages.');
           return;
         }
 
-        chrome.runtime.sendMessage({ action: 'start-capture', tabId: tab.id });
+        chrome.runtime.sendMessage({ action, tabId: tab.id });
         status.className = 'status';
-        status.textContent = 'Gobbling... results will open in a new tab.';
+        status.textContent = startedText;
 
         setTimeout(() => window.close(), 800);
       });
     });
-  });
+  }
+
+  // The debugger is an optional permission, asked for the first time a
+  // capture needs it: the DevTools engine, responsive widths or a forced
+  // color scheme
+  function debuggerPermissions(settings, responsive) {
+    const needed = responsive || settings.captureEngine === 'devtools' || settings.colorScheme !== 'system';
+    return needed ? ['debugger'] : [];
+  }
+
+  function showError(text) {
+    status.className = 'status error';
+    status.textContent = text;
+    setButtonsDisabled(false);
+  }
+
+  function setButtonsDisabled(disabled) {
+    btnCapture.disabled = disabled;
+    btnPick.disabled = disabled;
+    btnRegion.disabled = disabled;
+    btnResponsive.disabled = disabled;
+    btnBatch.disabled = disabled;
+    btnSchedule.disabled = disabled;
+  }
 
   // ── Helpers ─────────────────────────────────────────────────────────
 
@@ -104,11 +491,129 @@ document.addEventListener('DOMContentLoaded', () => {
     return {
       maxFileSizeMB: parseFloat(document.getElementById('set-max-size').value) || 3,
       compressionStrategy: document.getElementById('set-compression').value,
+      captureEngine: document.getElementById('set-engine').value,
+      colorScheme: document.getElementById('set-color-scheme').value,
+      responsiveWidths: parseWidths(document.getElementById('set-responsive-widths').value),
       sectionMaxHeight: parseInt(document.getElementById('set-section-height').value) || 4096,
+      scrollContainerSelector: document.getElementById('set-scroll-container').value.trim(),
       enableOCR: document.getElementById('set-ocr').checked,
       enableSections: document.getElementById('set-sections').checked,
+      captureFullWidth: document.getElementById('set-full-width').checked,
+      followGrowth: document.getElementById('set-follow-growth').checked,
+      maxPageHeight: parseInt(document.getElementById('set-max-height').value) || 0,
+      maxViewports: parseInt(document.getElementById('set-max-viewports').value) || 0,
+      growthStallScrolls: parseInt(document.getElementById('set-stall-scrolls').value) || 0,
+      stopAtSelector: document.getElementById('set-stop-selector').value.trim(),
+      fixedElementRules: parseFixedRules(document.getElementById('set-fixed-rules').value),
+      dismissPopups: document.getElementById('set-dismiss-popups').checked,
+      preCaptureActions: parseActions(document.getElementById('set-actions').value).actions,
+      redactPII: document.getElementById('set-redact').checked,
+      redactionStyle: document.getElementById('set-redaction-style').value,
+      redactionDetectors: [...document.querySelectorAll('[data-detector]:checked')].map(box => box.dataset.detector),
+      redactionPatterns: document.getElementById('set-redaction-patterns').value.split('\n').map(s => s.trim()).filter(Boolean),
+      redactionSelectors: document.getElementById('set-redaction-selectors').value.split('\n').map(s => s.trim()).filter(Boolean),
+      warmUpLazyLoad: document.getElementById('set-warmup').checked,
+      waitForReadiness: document.getElementById('set-readiness').checked,
+      readinessTimeoutMs: parseInt(document.getElementById('set-readiness-timeout').value) || 2000,
+      mutationQuietMs: parseInt(document.getElementById('set-quiet-ms').value) || 0,
+      batchRetries: parseInt(document.getElementById('set-batch-retries').value) || 0,
       quality: parseFloat(qualitySlider.value) || 0.92,
       oneClickMode: oneClickCheckbox.checked,
     };
   }
+
+  // Comma- or space-separated CSS pixel widths, e.g. "375, 768, 1440"
+  function parseWidths(text) {
+    return text.split(/[\s,]+/)
+      .map(w => parseInt(w, 10))
+      .filter(w => w > 0);
+  }
+
+  // One rule per line: "<policy> <css selector>"
+  function parseFixedRules(text) {
+    return text.split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map((line) => {
+        const [policy, ...rest] = line.split(/\s+/);
+        return { policy: policy.toLowerCase(), selector: rest.join(' ') };
+      })
+      .filter(rule => rule.selector);
+  }
+
+  function formatFixedRules(rules) {
+    return (rules || []).map(r => `${r.policy} ${r.selector}`).join('\n');
+  }
+
+  // "example.com:" starts a domain's list; each following line is one step:
+  // "<click|wait-for|scroll-to|remove> <selector>", "wait <ms>" or
+  // 'type <selector> "text"'. Steps before any domain line are dropped.
+  /**
+   * Steps per domain, plus the lines that aren't a step or a domain (or are
+   * a step before any domain), by line number.
+   * @returns {{actions: Object, invalid: Array<{line: number, text: string}>}}
+   */
+  function parseActions(text) {
+    const actions = {};
+    const invalid = [];
+    let steps = null;
+    text.split('\n').forEach((raw, i) => {
+      const line = raw.trim();
+      if (!line) return;
+      const domain = line.match(/^([\w.-]+):$/);
+      if (domain) {
+        const key = domain[1].toLowerCase().replace(/^www\./, '');
+        steps = actions[key] = actions[key] || [];
+        return;
+      }
+      const step = parseActionStep(line);
+      if (steps && step) {
+        steps.push(step);
+      } else {
+        invalid.push({ line: i + 1, text: line });
+      }
+    });
+    return { actions, invalid };
+  }
+
+  // Unreadable steps would be dropped on save, so nothing is saved until
+  // they're fixed. Returns false (and says why) if there are any.
+  function checkActions() {
+    const { invalid } = parseActions(document.getElementById('set-actions').value);
+    if (!invalid.length) return true;
+    const lines = invalid.map(({ line, text }) => `line ${line} ("${text}")`).join(', ');
+    showError(`Pre-capture Actions: can't read ${lines}. Check the step names, and quote typed text.`);
+    return false;
+  }
+
+  function parseActionStep(line) {
+    const [type, ...rest] = line.split(/\s+/);
+    const arg = rest.join(' ');
+    switch (type.toLowerCase()) {
+      case 'wait':
+        return { type: 'wait', ms: parseInt(arg, 10) || 0 };
+      case 'type': {
+        const match = arg.match(/^(.*?)\s+"(.*)"$/);
+        return match ? { type: 'type', selector: match[1], text: match[2] } : null;
+      }
+      case 'click':
+      case 'wait-for':
+      case 'scroll-to':
+      case 'remove':
+        return arg ? { type: type.toLowerCase(), selector: arg } : null;
+      default:
+        return null;
+    }
+  }
+
+  function formatActions(actions) {
+    return Object.entries(actions || {}).map(([domain, steps]) => [
+      `${domain}:`,
+      ...steps.map((s) => {
+        if (s.type === 'wait') return `wait ${s.ms}`;
+        if (s.type === 'type') return `type ${s.selector} "${s.text}"`;
+        return `${s.type} ${s.selector}`;
+      }),
+    ].join('\n')).join('\n\n');
+  }
 });
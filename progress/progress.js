@@ -1,11 +1,30 @@
 /**
  * PageGobbler — Progress Window
- * Polls background for capture progress and displays it.
+ * Polls background for capture progress and displays it, with pause /
+ * stop-here / cancel controls.
  */
 
 const titleEl = document.querySelector('.title');
 const fillEl = document.getElementById('fill');
 const statusEl = document.getElementById('status');
+const controlsEl = document.getElementById('controls');
+const pauseBtn = document.getElementById('btn-pause');
+const stopBtn = document.getElementById('btn-stop');
+const cancelBtn = document.getElementById('btn-cancel');
+const actionLogEl = document.getElementById('action-log');
+const defaultTitle = titleEl.textContent;
+
+let paused = false;
+
+pauseBtn.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ action: paused ? 'resume-capture' : 'pause-capture' });
+});
+stopBtn.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ action: 'stop-capture' });
+});
+cancelBtn.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ action: 'cancel-capture' });
+});
 
 let pollTimer = null;
 
@@ -14,9 +33,21 @@ async function poll() {
     const response = await chrome.runtime.sendMessage({ action: 'get-progress' });
     if (!response) return;
 
-    const { phase, current, total, error } = response;
+    const { phase, current, total, growing, waitAttempt, waitLimit, variant, batch, actions, error } = response;
+    showActionFailures(actions);
+
+    if (phase === 'cancelled') {
+      titleEl.textContent = 'Cancelled';
+      titleEl.className = 'title error';
+      statusEl.textContent = 'Page restored, frames discarded.';
+      controlsEl.hidden = true;
+      clearInterval(pollTimer);
+      setTimeout(() => window.close(), 1000);
+      return;
+    }
 
     if (phase === 'idle' || phase === 'done') {
+      controlsEl.hidden = true;
       titleEl.textContent = 'Gobbled!';
       titleEl.className = 'title done';
       fillEl.style.width = '100%';
@@ -30,6 +61,7 @@ async function poll() {
     }
 
     if (error) {
+      controlsEl.hidden = true;
       titleEl.textContent = 'Failed';
       titleEl.className = 'title error';
       statusEl.textContent = error;
@@ -38,13 +70,47 @@ async function poll() {
       return;
     }
 
-    if (phase === 'measuring') {
+    // Batches say which page is in progress; emulated runs which width / scheme
+    if (batch) {
+      titleEl.textContent = `Page ${batch.index + 1} of ${batch.total}` +
+        (batch.failed ? ` · ${batch.failed} failed` : '');
+    } else {
+      titleEl.textContent = variant ? `Gobbling ${variantLabel(variant)}` : defaultTitle;
+    }
+
+    // Between batch pages only cancel (the rest of the queue) applies
+    paused = !!response.paused;
+    pauseBtn.textContent = paused ? 'Resume' : 'Pause';
+    pauseBtn.disabled = phase === 'loading' || phase === 'processing';
+    stopBtn.disabled = phase === 'loading' || phase === 'processing' || !!response.stopping;
+
+    if (paused) {
+      statusEl.textContent = `Paused — ${current} captured so far.`;
+    } else if (phase === 'loading') {
+      statusEl.textContent = batch.attempt > 1
+        ? `Retrying ${batch.title} (attempt ${batch.attempt})...`
+        : `Loading ${batch.title}...`;
+      fillEl.style.width = `${Math.round((batch.index / batch.total) * 100)}%`;
+    } else if (phase === 'measuring') {
       statusEl.textContent = 'Measuring page...';
       fillEl.style.width = '5%';
+    } else if (phase === 'preparing') {
+      const step = actions.steps.length;
+      statusEl.textContent = step < actions.total
+        ? `Running pre-capture action ${step + 1} of ${actions.total}...`
+        : 'Pre-capture actions done.';
+      fillEl.style.width = '5%';
+    } else if (phase === 'warming-up') {
+      statusEl.textContent = 'Warming up lazy-loaded content...';
+      fillEl.style.width = '8%';
     } else if (phase === 'capturing') {
       const pct = total > 0 ? Math.round((current / total) * 80) + 10 : 10;
-      fillEl.style.width = `${pct}%`;
-      statusEl.textContent = `Capturing ${current} of ${total}...`;
+      fillEl.style.width = `${Math.min(pct, 90)}%`;
+      statusEl.textContent = growing
+        ? `Capturing ${current} of ${total}+ (page is growing)...`
+        : `Capturing ${current} of ${total}...`;
+    } else if (phase === 'waiting') {
+      statusEl.textContent = `${current} captured — waiting for more content (${waitAttempt}/${waitLimit})...`;
     } else if (phase === 'processing') {
       fillEl.style.width = '90%';
       statusEl.textContent = 'Stitching & compressing...';
@@ -54,5 +120,21 @@ async function poll() {
   }
 }
 
+// Failed pre-capture steps stay listed for the rest of the capture
+function showActionFailures(actions) {
+  const failed = (actions?.steps || []).filter(s => !s.ok);
+  actionLogEl.hidden = !failed.length;
+  if (!failed.length) return;
+  actionLogEl.textContent = failed
+    .map(s => `Step ${s.index + 1} (${s.type}) failed: ${s.error}`)
+    .join(' · ');
+  actionLogEl.title = actionLogEl.textContent;
+}
+
+function variantLabel({ width, colorScheme, index, total }) {
+  const label = [width && `${width}px`, colorScheme].filter(Boolean).join(' · ');
+  return total > 1 ? `${label} (${index + 1}/${total})` : label;
+}
+
 pollTimer = setInterval(poll, 250);
 poll();
@@ -109,6 +109,186 @@ const ZipBuilder = (() => {
   return { createZip };
 })();
 
+// ── Lightweight PDF Builder (no external deps) ─────────────────────────────
+
+const PdfBuilder = (() => {
+  /**
+   * Build a PDF from laid-out pages. Coordinates are PDF points, origin at
+   * the bottom-left of each page. JPEG images are embedded as-is (DCTDecode)
+   * and can be drawn on several pages, each draw clipped to its own rect.
+   *   images:  [{ data: Uint8Array (JPEG), width, height }] — pixel size
+   *   pages:   [{ width, height, draws: [{ image, x, y, w, h, clip? }],
+   *              texts: [{ x, y, size, text }] }]
+   *   outline: [{ title, level, page, y }] — nested by level, in order
+   *   info:    { title, subject }
+   */
+  function createPdf({ images, pages, outline = [], info = {} }) {
+    let nextId = 0;
+    const objects = new Map(); // id -> Uint8Array
+    const alloc = () => ++nextId;
+    const put = (id, body) => objects.set(id, typeof body === 'string' ? latin1(body) : body);
+
+    const catalogId = alloc();
+    const pagesId = alloc();
+    const fontId = alloc();
+    const imageIds = images.map(() => alloc());
+    const pageIds = pages.map(() => alloc());
+    const contentIds = pages.map(() => alloc());
+
+    put(fontId, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+
+    images.forEach((img, i) => {
+      const head = latin1(`<< /Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} ` +
+        `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${img.data.length} >>\nstream\n`);
+      put(imageIds[i], concat([head, img.data, latin1('\nendstream')]));
+    });
+
+    pages.forEach((page, i) => {
+      const ops = [];
+      const used = new Set();
+      for (const d of page.draws) {
+        used.add(d.image);
+        ops.push('q');
+        if (d.clip) ops.push(`${num(d.clip.x)} ${num(d.clip.y)} ${num(d.clip.w)} ${num(d.clip.h)} re W n`);
+        ops.push(`${num(d.w)} 0 0 ${num(d.h)} ${num(d.x)} ${num(d.y)} cm /Im${d.image} Do Q`);
+      }
+      for (const t of page.texts || []) {
+        ops.push(`BT /F1 ${num(t.size)} Tf ${num(t.x)} ${num(t.y)} Td ${pdfString(t.text)} Tj ET`);
+      }
+      const stream = ops.join('\n');
+      put(contentIds[i], `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+
+      const xobjects = [...used].map(n => `/Im${n} ${imageIds[n]} 0 R`).join(' ');
+      put(pageIds[i], `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}] ` +
+        `/Resources << /Font << /F1 ${fontId} 0 R >> /XObject << ${xobjects} >> >> /Contents ${contentIds[i]} 0 R >>`);
+    });
+
+    put(pagesId, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+
+    const outlinesId = outline.length ? writeOutline(outline, { alloc, put, pageIds }) : null;
+
+    const infoId = alloc();
+    put(infoId, `<< /Title ${textString(info.title || '')} /Subject ${textString(info.subject || '')} ` +
+      `/Producer (PageGobbler) /CreationDate (D:${pdfDate(new Date())}) >>`);
+
+    put(catalogId, `<< /Type /Catalog /Pages ${pagesId} 0 R` +
+      (outlinesId ? ` /Outlines ${outlinesId} 0 R /PageMode /UseOutlines` : '') + ' >>');
+
+    // Body, cross-reference table, trailer
+    const chunks = [latin1('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n')];
+    const offsets = [];
+    let offset = chunks[0].length;
+    for (let id = 1; id <= nextId; id++) {
+      const obj = concat([latin1(`${id} 0 obj\n`), objects.get(id), latin1('\nendobj\n')]);
+      offsets[id] = offset;
+      offset += obj.length;
+      chunks.push(obj);
+    }
+    const xref = [`xref\n0 ${nextId + 1}\n0000000000 65535 f \n`];
+    for (let id = 1; id <= nextId; id++) xref.push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+    xref.push(`trailer\n<< /Size ${nextId + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${offset}\n%%EOF\n`);
+    chunks.push(latin1(xref.join('')));
+
+    return new Blob(chunks, { type: 'application/pdf' });
+  }
+
+  // Outline items nest under the closest preceding item of a lower level
+  function writeOutline(entries, { alloc, put, pageIds }) {
+    const root = { id: alloc(), children: [] };
+    const stack = [{ level: 0, node: root }];
+    for (const entry of entries) {
+      while (stack.length > 1 && stack[stack.length - 1].level >= entry.level) stack.pop();
+      const node = { ...entry, id: alloc(), children: [] };
+      stack[stack.length - 1].node.children.push(node);
+      stack.push({ level: entry.level, node });
+    }
+
+    const countAll = node => node.children.reduce((n, c) => n + 1 + countAll(c), 0);
+    const writeChildren = (parent) => {
+      parent.children.forEach((node, i, siblings) => {
+        const fields = [
+          `/Title ${textString(node.title)}`,
+          `/Parent ${parent.id} 0 R`,
+          `/Dest [${pageIds[node.page]} 0 R /XYZ null ${num(node.y)} null]`,
+        ];
+        if (i > 0) fields.push(`/Prev ${siblings[i - 1].id} 0 R`);
+        if (i < siblings.length - 1) fields.push(`/Next ${siblings[i + 1].id} 0 R`);
+        if (node.children.length) {
+          fields.push(`/First ${node.children[0].id} 0 R`, `/Last ${node.children.at(-1).id} 0 R`,
+            `/Count ${countAll(node)}`);
+        }
+        put(node.id, `<< ${fields.join(' ')} >>`);
+        writeChildren(node);
+      });
+    };
+    writeChildren(root);
+
+    put(root.id, `<< /Type /Outlines /First ${root.children[0].id} 0 R /Last ${root.children.at(-1).id} 0 R ` +
+      `/Count ${countAll(root)} >>`);
+    return root.id;
+  }
+
+  // Page text uses WinAnsi (Latin-1 here); anything outside it becomes "?"
+  function pdfString(text) {
+    let out = '';
+    for (const ch of String(text)) {
+      const code = ch.codePointAt(0);
+      if (ch === '(' || ch === ')' || ch === '\\') out += `\\${ch}`;
+      else if (code >= 32 && code < 127) out += ch;
+      else if (code >= 160 && code <= 255) out += `\\${code.toString(8)}`;
+      else out += '?';
+    }
+    return `(${out})`;
+  }
+
+  // Outline titles and document info take UTF-16BE, so any script survives
+  function textString(text) {
+    let hex = 'FEFF';
+    for (let i = 0; i < text.length; i++) hex += text.charCodeAt(i).toString(16).padStart(4, '0');
+    return `<${hex}>`;
+  }
+
+  function pdfDate(d) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+      `${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}Z`;
+  }
+
+  function num(n) {
+    return Number(n.toFixed(2)).toString();
+  }
+
+  function latin1(str) {
+    const bytes = new Uint8Array(str.length);
+    for (let i = 0; i < str.length; i++) bytes[i] = str.charCodeAt(i) & 0xFF;
+    return bytes;
+  }
+
+  function concat(parts) {
+    const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+    let pos = 0;
+    for (const p of parts) { out.set(p, pos); pos += p.length; }
+    return out;
+  }
+
+  /** Pixel size of a baseline or progressive JPEG, read from its SOF marker. */
+  function jpegSize(data) {
+    let i = 2;
+    while (i + 9 < data.length) {
+      if (data[i] !== 0xFF) { i++; continue; }
+      const marker = data[i + 1];
+      const length = (data[i + 2] << 8) | data[i + 3];
+      if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+        return { height: (data[i + 5] << 8) | data[i + 6], width: (data[i + 7] << 8) | data[i + 8] };
+      }
+      i += 2 + length;
+    }
+    return null;
+  }
+
+  return { createPdf, jpegSize };
+})();
+
 // ── Main ────────────────────────────────────────────────────────────────────
 
 (async () => {
@@ -116,12 +296,25 @@ const ZipBuilder = (() => {
   const statusText = document.getElementById('status-text');
   const progressFill = document.getElementById('progress-fill');
   const sectionsGrid = document.getElementById('sections-grid');
+  const breakpointTabs = document.getElementById('breakpoint-tabs');
+  const schemeTabs = document.getElementById('scheme-tabs');
+  const pageTabs = document.getElementById('page-tabs');
   const metaGrid = document.getElementById('meta-grid');
   const ocrText = document.getElementById('ocr-text');
   const jsonOutput = document.getElementById('json-output');
   const btnDownloadAll = document.getElementById('btn-download-all');
+  const btnDownloadPdf = document.getElementById('btn-download-pdf');
+  const btnDownloadHtml = document.getElementById('btn-download-html');
+  const btnSaveLibrary = document.getElementById('btn-save-library');
+  const pdfLayout = document.getElementById('pdf-layout');
   const btnCopyText = document.getElementById('btn-copy-text');
   const btnCopyMeta = document.getElementById('btn-copy-metadata');
+  const annotateBar = document.getElementById('annotate-bar');
+  const annotateColor = document.getElementById('annotate-color');
+  const btnAnnotateDelete = document.getElementById('btn-annotate-delete');
+  const btnAnnotateClear = document.getElementById('btn-annotate-clear');
+  const toggleLayout = document.getElementById('toggle-layout');
+  const layoutLegend = document.getElementById('layout-legend');
 
   // Tab switching
   document.querySelectorAll('.tab').forEach(tab => {
@@ -137,161 +330,727 @@ const ZipBuilder = (() => {
   let processedSections = [];
   let fullMetadata = {};
   let extractedText = '';
-
-  // ── Load captured data (fetch from background via messaging) ────────────
+  let activeResult = null;
+  let selectedPage = 0;
+  let selectedWidth = null;
+  let selectedScheme = null; // light | dark | compare (paired captures only)
+  let annotationTool = 'select';
+  let selectedAnnotationId = null;
+  let overlays = []; // annotation overlays of the section cards on screen
+  let pointerAction = null; // the draw or drag in progress
+  let showLayout = false; // layout boxes drawn under the annotations
+
+  // ── Load captured data (the session named in the URL, from IndexedDB) ──
 
   setStatus('Loading capture data...', 5);
 
+  // Frames stay in IndexedDB until stitching streams them in one by one
+  const { SessionStore } = await import('../lib/session-store.js');
+  const { LibraryStore } = await import('../lib/library-store.js');
+  const loadFrame = capture => SessionStore.getFrame(capture.frameId);
+
+  // ?session= is a fresh capture, processed from its frames; ?library= is a
+  // saved one, reopened from the sections as they were processed then
+  const params = new URLSearchParams(location.search);
+  const sessionId = params.get('session');
+  const libraryId = params.get('library');
   let captureData;
+  let savedAnnotations = {};
   try {
-    const response = await chrome.runtime.sendMessage({ action: 'get-capture-data' });
-    captureData = response?.captureData;
+    if (libraryId) {
+      captureData = await LibraryStore.getCapture(libraryId);
+      savedAnnotations = captureData?.annotations || {};
+    } else {
+      const session = await SessionStore.getSession(sessionId);
+      captureData = session?.status === 'done' ? session.data : null;
+      savedAnnotations = session?.annotations || {};
+    }
   } catch (err) {
-    console.error('Failed to fetch capture data:', err);
+    console.error('Failed to load capture data:', err);
   }
 
   if (!captureData) {
-    setStatus('No capture data found. Gobble a page first!', 0, true);
+    setStatus(libraryId ? 'This capture is no longer in the library.' : 'No capture data found. Gobble a page first!', 0, true);
     return;
   }
 
-  const { captures, pageInfo, settings } = captureData;
-
-  // ── Step 1: Stitch ────────────────────────────────────────────────────
+  // A batch carries one page per item, each with its own capture (or null if
+  // it failed). A multi-variant run (widths and/or color schemes) carries one
+  // capture set per variant; anything else is one set.
+  const isBatch = libraryId ? captureData.isBatch : !!captureData.batch;
+  let pages;
+  if (libraryId) {
+    pages = captureData.pages;
+  } else if (isBatch) {
+    pages = captureData.batch.items.map((item, index) => ({ ...item, index }));
+  } else {
+    pages = [{ capture: captureData, status: 'done', index: 0 }];
+  }
+  const captureSets = libraryId ? [] : pages
+    .filter(page => page.capture)
+    .flatMap(page => (page.capture.variants || [page.capture]).map(set => ({ set, page })));
+  const results = [];
+
+  if (libraryId) {
+    setStatus('Loading saved sections...', 50);
+    for (const stored of captureData.results) {
+      const entry = await restoreResult(stored);
+      setAnnotations(entry, savedAnnotations[annotationKey(entry)] || []);
+      results.push(entry);
+    }
+  }
 
-  setStatus(`Stitching ${captures.length} viewport captures...`, 15);
+  for (let i = 0; i < captureSets.length; i++) {
+    const { set, page } = captureSets[i];
+    const labels = [
+      isBatch && (page.title || page.url),
+      set.variant && variantLabel(set.variant),
+    ].filter(Boolean);
+    const label = labels.length ? `${labels.join(' · ')} — ` : '';
+    const span = 100 / captureSets.length;
+    const report = (text, pct, isError) => setStatus(label + text, Math.round(i * span + (pct * span) / 100), isError);
+
+    const result = await processCaptureSet(set, report);
+    if (!result) {
+      if (!isBatch) return;
+      // One bad page doesn't sink the batch
+      page.status = 'failed';
+      page.error = 'Stitching failed';
+      continue;
+    }
+    if (result.pageInfo.redaction) redactPageLabels(page, result.settings);
+    const entry = { ...result, page: page.index };
+    setAnnotations(entry, savedAnnotations[annotationKey(entry)] || []);
+    results.push(entry);
+  }
 
-  let fullCanvas;
-  try {
-    fullCanvas = await ImageProcessor.stitch(captures, pageInfo);
-  } catch (err) {
-    console.error('Stitch failed:', err);
-    setStatus(`Stitch error: ${err.message}`, 15, true);
+  if (results.length === 0) {
+    const reasons = pages.map(p => `${p.url}: ${p.error || 'failed'}`).join('; ');
+    setStatus(`No pages could be gobbled — ${reasons}`, 0, true);
     return;
   }
 
-  setStatus(`Stitched: ${fullCanvas.width} x ${fullCanvas.height}px`, 30);
+  const widths = [...new Set(results.map(r => r.variant?.width || null))];
+  const schemes = [...new Set(results.map(r => r.variant?.colorScheme || null))];
+  const hasSchemePairs = schemes.includes('light') && schemes.includes('dark');
+
+  renderVariantTabs();
+  selectedPage = results[0].page;
+  selectedWidth = widths[0];
+  selectedScheme = schemes[0];
+  showSelectedVariant();
+
+  // ── Done ──────────────────────────────────────────────────────────────
+
+  const allSections = results.flatMap(r => r.sections);
+  const failedPages = pages.filter(p => p.status !== 'done').length;
+  const pagesNote = isBatch
+    ? `${pages.length - failedPages} of ${pages.length} pages${failedPages ? ` (${failedPages} failed)` : ''}, `
+    : '';
+  const variantsNote = !isBatch && results.length > 1 ? `${results.length} variants, ` : '';
+  setStatus(`Done — ${pagesNote}${variantsNote}${allSections.length} section(s), total ${totalSizeMB(allSections)} MB`, 100);
+  statusBar.classList.add('done');
+
+  btnDownloadAll.disabled = false;
+  btnDownloadPdf.disabled = false;
+  btnDownloadHtml.disabled = false;
+  btnCopyText.disabled = false;
+  btnCopyMeta.disabled = false;
+
+  // Saving is opt-in: automatic with saveToLibrary on, else one click here
+  if (!libraryId) {
+    btnSaveLibrary.hidden = false;
+    if (results[0].settings.saveToLibrary) saveToLibraryFromViewer();
+  }
+
+  // ── Event Handlers ────────────────────────────────────────────────────
 
-  // ── Step 2: Smart Section ─────────────────────────────────────────────
+  btnDownloadAll.addEventListener('click', () => downloadAllAsZip());
+  btnDownloadPdf.addEventListener('click', () => downloadPdf(pdfLayout.value));
+  btnDownloadHtml.addEventListener('click', () => downloadHtmlReport());
+  btnSaveLibrary.addEventListener('click', () => saveToLibraryFromViewer());
+  btnCopyText.addEventListener('click', () => copyToClipboard(extractedText, btnCopyText));
+  btnCopyMeta.addEventListener('click', () => copyToClipboard(JSON.stringify(fullMetadata, null, 2), btnCopyMeta));
 
-  let sections;
-  if (settings.enableSections) {
-    setStatus('Finding smart section break points...', 40);
-    sections = ImageProcessor.smartSection(fullCanvas, {
-      sectionMaxHeight: settings.sectionMaxHeight,
-      devicePixelRatio: pageInfo.devicePixelRatio,
+  // Re-export from the library page
+  if (params.get('export') === 'zip') downloadAllAsZip();
+
+  annotateBar.querySelectorAll('[data-tool]').forEach((btn) => {
+    btn.addEventListener('click', () => {
+      annotationTool = btn.dataset.tool;
+      annotateBar.querySelectorAll('[data-tool]').forEach(b => b.classList.toggle('active', b === btn));
+      overlays.forEach(o => o.canvas.classList.toggle('selecting', annotationTool === 'select'));
     });
-    setStatus(`Split into ${sections.length} section(s)`, 50);
-  } else {
-    sections = [{ canvas: fullCanvas, startY: 0, endY: fullCanvas.height, index: 0 }];
+  });
+  annotateColor.addEventListener('input', () => {
+    const selected = findAnnotation(selectedAnnotationId);
+    if (!selected) return;
+    selected.color = annotateColor.value;
+    annotationsChanged(activeResult);
+  });
+  btnAnnotateDelete.addEventListener('click', () => deleteSelectedAnnotation());
+  btnAnnotateClear.addEventListener('click', () => {
+    if (!activeResult.annotations.length || !confirm('Remove every annotation on this capture?')) return;
+    selectAnnotation(null);
+    activeResult.annotations = [];
+    annotationsChanged(activeResult);
+  });
+  toggleLayout.addEventListener('change', () => {
+    showLayout = toggleLayout.checked;
+    if (!layoutLegend.childElementCount) {
+      Object.entries(LAYOUT_COLORS).forEach(([kind, color]) => {
+        const item = document.createElement('span');
+        item.style.color = color;
+        item.textContent = `■ ${kind}`;
+        layoutLegend.appendChild(item);
+      });
+    }
+    layoutLegend.hidden = !showLayout;
+    redrawOverlays();
+  });
+  document.addEventListener('keydown', (e) => {
+    if (!selectedAnnotationId || e.target.closest('input, textarea, select')) return;
+    if (e.key === 'Delete' || e.key === 'Backspace') {
+      e.preventDefault();
+      deleteSelectedAnnotation();
+    } else if (e.key === 'Escape') {
+      selectAnnotation(null);
+    }
+  });
+
+  // ── Processing ────────────────────────────────────────────────────────
+
+  /**
+   * Stitch, section, compress and describe one capture set. Returns null
+   * (after reporting) if stitching fails.
+   */
+  async function processCaptureSet(set, report) {
+    const { captures, pageInfo, settings } = set;
+
+    // ── Step 1: Stitch ──────────────────────────────────────────────────
+
+    report(`Stitching ${captures.length} viewport captures...`, 15);
+
+    let fullCanvas;
+    try {
+      fullCanvas = await ImageProcessor.stitch(captures, pageInfo, loadFrame);
+    } catch (err) {
+      console.error('Stitch failed:', err);
+      report(`Stitch error: ${err.message}`, 15, true);
+      return null;
+    }
+
+    report(`Stitched: ${fullCanvas.width} x ${fullCanvas.height}px`, 30);
+
+    // Masked before anything is sectioned, compressed or extracted
+    if (pageInfo.redaction) {
+      report('Redacting personal data...', 35);
+      redactCapture(set, fullCanvas);
+    }
+
+    // ── Step 2: Smart Section ───────────────────────────────────────────
+
+    let sections;
+    if (settings.enableSections) {
+      report('Finding smart section break points...', 40);
+      sections = ImageProcessor.smartSection(fullCanvas, {
+        sectionMaxHeight: settings.sectionMaxHeight,
+        devicePixelRatio: pageInfo.devicePixelRatio,
+      });
+      report(`Split into ${sections.length} section(s)`, 50);
+    } else {
+      sections = [{ canvas: fullCanvas, startY: 0, endY: fullCanvas.height, index: 0 }];
+    }
+
+    // ── Step 3: Compress each section ───────────────────────────────────
+
+    const compressed = [];
+    for (let i = 0; i < sections.length; i++) {
+      const pct = 50 + Math.round((i / sections.length) * 25);
+      report(`Compressing section ${i + 1} of ${sections.length}...`, pct);
+
+      const result = await ImageProcessor.compress(sections[i].canvas, {
+        maxFileSizeMB: settings.maxFileSizeMB,
+        compressionStrategy: settings.compressionStrategy,
+        quality: settings.quality,
+      });
+
+      const url = URL.createObjectURL(result.blob);
+      compressed.push({
+        ...sections[i],
+        blob: result.blob,
+        url,
+        format: result.format,
+        quality: result.quality,
+        scaled: result.scaled,
+        scaleFactor: result.scaleFactor,
+        sizeMB: (result.blob.size / (1024 * 1024)).toFixed(2),
+      });
+    }
+
+    // ── Step 4: Extract Page Text ───────────────────────────────────────
+
+    let text;
+    if (settings.enableOCR) {
+      report('Extracting page text...', 80);
+      text = buildDOMText(pageInfo);
+    } else {
+      text = '(Text extraction disabled in settings)';
+    }
+
+    // ── Step 5: Build metadata ──────────────────────────────────────────
+
+    report('Building metadata...', 90);
+
+    const metadata = {
+      source: {
+        url: pageInfo.url,
+        title: pageInfo.title,
+        capturedAt: pageInfo.capturedAt,
+        language: pageInfo.documentLang,
+        colorScheme: pageInfo.colorScheme || null,
+        capturedElement: pageInfo.capturedElement || null,
+        capturedRegion: pageInfo.capturedRegion || null,
+      },
+      dimensions: {
+        breakpoint: set.variant?.width ? { width: set.variant.width, height: set.variant.height } : null,
+        pageWidth: pageInfo.pageWidth || pageInfo.viewportWidth,
+        pageHeight: pageInfo.pageHeight,
+        devicePixelRatio: pageInfo.devicePixelRatio,
+        capturedWidth: fullCanvas.width,
+        capturedHeight: fullCanvas.height,
+        tileGrid: pageInfo.tileGrid || null,
+        growth: pageInfo.growth || null,
+        scrollContainer: pageInfo.scrollContainer || null,
+      },
+      sections: compressed.map((s, i) => ({
+        index: i,
+        format: s.format,
+        quality: s.quality,
+        sizeMB: s.sizeMB,
+        scaled: s.scaled,
+        scaleFactor: s.scaleFactor || 1,
+        startY: s.startY,
+        endY: s.endY,
+        heightPx: s.endY - s.startY,
+      })),
+      pageStructure: {
+        headings: pageInfo.headings,
+        linkCount: pageInfo.linkCount,
+        topLinks: pageInfo.topLinks?.slice(0, 20),
+      },
+      meta: pageInfo.metaTags,
+      hiddenElements: (pageInfo.fixedElements || []).filter(f => f.hiddenFrames > 0),
+      processing: {
+        elapsedMs: set.elapsedMs,
+        totalCaptures: captures.length,
+        engine: set.engine || 'scroll',
+        engineFallback: set.engineFallback || null,
+        emulation: set.variant ? { width: set.variant.width, colorScheme: set.variant.colorScheme } : null,
+        profile: settings.profile || null,
+        preset: settings.preset || null,
+        compressionStrategy: settings.compressionStrategy,
+        textExtractionEnabled: settings.enableOCR,
+        readiness: pageInfo.readiness || null,
+        preCaptureActions: pageInfo.preCaptureActions || null,
+        popupDismissal: pageInfo.popupDismissal || null,
+        redaction: pageInfo.redaction || null,
+      },
+    };
+
+    return {
+      variant: set.variant || null,
+      pageInfo,
+      sections: compressed,
+      metadata,
+      text,
+      artifacts: settings.zipArtifacts || null,
+      settings,
+      annotations: [],
+    };
   }
 
-  // ── Step 3: Compress each section ─────────────────────────────────────
+  // ── Redaction ─────────────────────────────────────────────────────────
+  //
+  // The content script reports where detected personal data was drawn;
+  // here it is blacked out or blurred on the stitched image, and the same
+  // detectors (lib/redaction.js) mask the extracted text. pageInfo.redaction
+  // is then replaced by a report of what was masked and where — never the
+  // values — so nothing downstream sees the originals.
+
+  function redactCapture(set, canvas) {
+    const { pageInfo, settings, captures } = set;
+    const found = pageInfo.redaction;
+    const dpr = pageInfo.devicePixelRatio || 1;
+    const region = pageInfo.captureRegion || { left: 0, top: 0 };
+    const { matchers, errors } = Redaction.compile(settings);
+
+    // Rects in region CSS px; fixed-element rects once per frame they could be in
+    const regions = [];
+    for (const r of found.rects) {
+      if (!r.fixed) {
+        regions.push({ detector: r.detector, x: r.x - region.left, y: r.y - region.top, w: r.w, h: r.h });
+        continue;
+      }
+      const offset = pageInfo.scrollContainer?.rect || { left: 0, top: 0 };
+      for (const cap of captures) {
+        const vr = cap.viewportRect;
+        const x = (cap.scrollX || 0) + r.x + offset.left - vr.left;
+        const y = cap.scrollY + r.y + offset.top - vr.top;
+        const clipped = intersectRect({ x, y, w: r.w, h: r.h },
+          { x: cap.scrollX || 0, y: cap.scrollY, w: cap.clipWidth, h: cap.clipHeight });
+        if (clipped) regions.push({ detector: r.detector, ...clipped });
+      }
+    }
 
-  processedSections = [];
-  for (let i = 0; i < sections.length; i++) {
-    const pct = 50 + Math.round((i / sections.length) * 25);
-    setStatus(`Compressing section ${i + 1} of ${sections.length}...`, pct);
+    const ctx = canvas.getContext('2d');
+    for (const r of regions) {
+      const pad = 2;
+      const x = Math.max(0, Math.floor((r.x - pad) * dpr));
+      const y = Math.max(0, Math.floor((r.y - pad) * dpr));
+      const w = Math.min(canvas.width - x, Math.ceil((r.w + pad * 2) * dpr));
+      const h = Math.min(canvas.height - y, Math.ceil((r.h + pad * 2) * dpr));
+      if (w <= 0 || h <= 0) continue;
+      if (found.style === 'blur') {
+        blurRect(ctx, x, y, w, h);
+      } else {
+        ctx.fillStyle = '#000';
+        ctx.fillRect(x, y, w, h);
+      }
+    }
 
-    const result = await ImageProcessor.compress(sections[i].canvas, {
-      maxFileSizeMB: settings.maxFileSizeMB,
-      compressionStrategy: settings.compressionStrategy,
-      quality: settings.quality,
+    const terms = found.terms || [];
+    const text = {
+      page: {}, visibleText: {}, headings: {}, links: {}, forms: {}, console: {}, dom: {}, layout: {},
+      meta: {}, structuredData: {}, assets: {}, resources: {}, stylesheets: {},
+    };
+    const mask = (value, counts) => Redaction.mask(value, matchers, terms, counts);
+
+    // The title also names every download, so it's masked before anything is built
+    pageInfo.title = mask(pageInfo.title, text.page);
+    pageInfo.url = mask(pageInfo.url, text.page);
+    pageInfo.visibleText = mask(pageInfo.visibleText, text.visibleText);
+    pageInfo.domStructure = mask(pageInfo.domStructure, text.dom);
+    (pageInfo.headings || []).forEach((h) => { h.text = mask(h.text, text.headings); });
+    // topLinks is a prefix of allLinks — separate copies, so count just one
+    [pageInfo.topLinks, pageInfo.allLinks].forEach((list, i) => {
+      const counts = i === 0 ? {} : text.links;
+      (list || []).forEach((link) => {
+        link.href = mask(link.href, counts);
+        link.text = mask(link.text, counts);
+      });
+    });
+    (pageInfo.forms || []).forEach((form) => {
+      form.action = mask(form.action, text.forms);
+      form.fields.forEach((field) => {
+        ['name', 'id', 'placeholder'].forEach((key) => { field[key] = mask(field[key], text.forms); });
+        (field.options || []).forEach((option) => {
+          option.value = mask(option.value, text.forms);
+          option.text = mask(option.text, text.forms);
+        });
+      });
     });
+    (pageInfo.consoleLogs || []).forEach((entry) => { entry.message = mask(entry.message, text.console); });
+    (pageInfo.layout || []).forEach((box) => {
+      ['label', 'href', 'src', 'name'].forEach((key) => { box[key] = mask(box[key], text.layout); });
+    });
+    pageInfo.metaTags = maskDeep(pageInfo.metaTags, mask, text.meta);
+    pageInfo.structuredData = maskDeep(pageInfo.structuredData, mask, text.structuredData);
+    pageInfo.imageAssets = maskDeep(pageInfo.imageAssets, mask, text.assets);
+    pageInfo.externalResources = maskDeep(pageInfo.externalResources, mask, text.resources);
+    // Inline <style> text and url(...) references (avatar paths and the like)
+    pageInfo.stylesheets = maskDeep(pageInfo.stylesheets, mask, text.stylesheets);
+
+    const regionCounts = {};
+    regions.forEach((r) => { regionCounts[r.detector] = (regionCounts[r.detector] || 0) + 1; });
+    pageInfo.redaction = {
+      style: found.style,
+      detectors: [...matchers.map(m => m.name), ...(settings.redactionSelectors?.length ? ['selector'] : [])],
+      regionCounts,
+      // Back in page coordinates, like annotations
+      regions: regions.map(r => ({ detector: r.detector, x: r.x + region.left, y: r.y + region.top, w: r.w, h: r.h })),
+      text,
+      truncated: found.truncated,
+      errors: [...new Set([...errors, ...found.errors])],
+    };
+  }
 
-    const url = URL.createObjectURL(result.blob);
-    processedSections.push({
-      ...sections[i],
-      blob: result.blob,
-      url,
-      format: result.format,
-      quality: result.quality,
-      scaled: result.scaled,
-      scaleFactor: result.scaleFactor,
-      sizeMB: (result.blob.size / (1024 * 1024)).toFixed(2),
+  // Every string in a JSON-like value (meta tags, JSON-LD, asset lists, stylesheets)
+  function maskDeep(value, mask, counts) {
+    if (typeof value === 'string') return mask(value, counts);
+    if (Array.isArray(value)) return value.map(v => maskDeep(v, mask, counts));
+    if (value && typeof value === 'object') {
+      Object.keys(value).forEach((key) => { value[key] = maskDeep(value[key], mask, counts); });
+    }
+    return value;
+  }
+
+  // Batch items carry the tab's own title and URL, which label the viewer's
+  // tabs and name the ZIP's folders
+  function redactPageLabels(page, settings) {
+    const { matchers } = Redaction.compile(settings);
+    page.title = Redaction.mask(page.title, matchers);
+    page.url = Redaction.mask(page.url, matchers);
+  }
+
+  // Blurred from a padded copy, so the edges don't pull in transparent pixels
+  function blurRect(ctx, x, y, w, h) {
+    const radius = Math.max(8, Math.round(h * 0.6)); // strong enough that text can't be guessed
+    const margin = radius * 2;
+    const sx = Math.max(0, x - margin);
+    const sy = Math.max(0, y - margin);
+    const sw = Math.min(ctx.canvas.width - sx, w + margin * 2);
+    const sh = Math.min(ctx.canvas.height - sy, h + margin * 2);
+    const copy = new OffscreenCanvas(sw, sh);
+    copy.getContext('2d').drawImage(ctx.canvas, sx, sy, sw, sh, 0, 0, sw, sh);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(x, y, w, h);
+    ctx.clip();
+    ctx.filter = `blur(${radius}px)`;
+    ctx.drawImage(copy, sx, sy);
+    ctx.restore();
+  }
+
+  function intersectRect(a, b) {
+    const x = Math.max(a.x, b.x);
+    const y = Math.max(a.y, b.y);
+    const right = Math.min(a.x + a.w, b.x + b.w);
+    const bottom = Math.min(a.y + a.h, b.y + b.h);
+    return right > x && bottom > y ? { x, y, w: right - x, h: bottom - y } : null;
+  }
+
+  // ── Library ───────────────────────────────────────────────────────────
+  //
+  // Each processed capture is saved to the library (lib/library-store.js)
+  // under its session ID: the plain compressed sections, with what each
+  // result needs to be shown and exported again without its frames. Then
+  // the library is pruned to the age and size limits in settings.
+
+  const LIBRARY_SEARCH_CHARS = 200000; // of page text per capture, for search
+  const THUMBNAIL_WIDTH = 320;
+  const THUMBNAIL_HEIGHT = 240;
+
+  async function saveToLibrary() {
+    const first = results[0].pageInfo;
+    const settings = results[0].settings;
+    const title = isBatch ? `Batch: ${pages.length} pages` : (first.title || first.url);
+    const texts = results.map(r => `${r.pageInfo.title || ''}\n${r.pageInfo.url}\n${r.text || ''}`);
+
+    const stored = results.map(r => ({
+      variant: r.variant,
+      page: r.page,
+      pageInfo: r.pageInfo,
+      metadata: r.metadata,
+      text: r.text,
+      artifacts: r.artifacts,
+      settings: librarySettings(r.settings),
+      sections: r.sections.map((s) => {
+        const plain = s.plain || s;
+        return {
+          blob: plain.blob,
+          format: plain.format,
+          quality: plain.quality,
+          scaled: plain.scaled,
+          scaleFactor: plain.scaleFactor,
+          sizeMB: plain.sizeMB,
+          startY: s.startY,
+          endY: s.endY,
+          width: s.canvas.width,
+        };
+      }),
+    }));
+    const sectionBytes = stored.reduce((n, r) => n + r.sections.reduce((m, s) => m + s.blob.size, 0), 0);
+    const dataBytes = JSON.stringify(stored.map(({ sections, ...rest }) => rest)).length;
+
+    await LibraryStore.saveCapture({
+      id: sessionId,
+      title,
+      url: first.url,
+      domains: [...new Set(results.map(r => hostname(r.pageInfo.url)).filter(Boolean))],
+      capturedAt: Date.parse(first.capturedAt) || captureData.timestamp || Date.now(),
+      savedAt: Date.now(),
+      pageCount: pages.length,
+      sectionCount: stored.reduce((n, r) => n + r.sections.length, 0),
+      sizeBytes: sectionBytes + dataBytes,
+      searchText: texts.join('\n').toLowerCase().slice(0, LIBRARY_SEARCH_CHARS),
+      thumbnail: await libraryThumbnail(results[0].sections[0]),
+    }, {
+      id: sessionId,
+      isBatch,
+      pages: pages.map(({ capture, ...page }) => page),
+      timestamp: captureData.timestamp || null,
+      elapsedMs: captureData.elapsedMs || null,
+      annotations: Object.fromEntries(results.map(r => [annotationKey(r), r.annotations])),
+      results: stored,
+    });
+
+    await LibraryStore.prune({
+      maxAgeDays: settings.libraryMaxAgeDays,
+      maxSizeMB: settings.libraryMaxSizeMB,
+      keep: sessionId,
     });
   }
 
-  // ── Step 4: Extract Page Text ────────────────────────────────────────
+  // What a "type" step types can be a password: never kept in the library
+  function librarySettings(settings) {
+    const actions = Object.fromEntries(Object.entries(settings.preCaptureActions || {})
+      .map(([domain, steps]) => [domain, steps.map(({ text, ...step }) => step)]));
+    return { ...settings, preCaptureActions: actions };
+  }
 
-  if (settings.enableOCR) {
-    setStatus('Extracting page text...', 80);
-    extractedText = buildDOMText(pageInfo);
-  } else {
-    extractedText = '(Text extraction disabled in settings)';
-  }
-
-  ocrText.textContent = extractedText || '(No text extracted)';
-
-  // ── Step 5: Build metadata ────────────────────────────────────────────
-
-  setStatus('Building metadata...', 90);
-
-  fullMetadata = {
-    source: {
-      url: pageInfo.url,
-      title: pageInfo.title,
-      capturedAt: pageInfo.capturedAt,
-      language: pageInfo.documentLang,
-    },
-    dimensions: {
-      pageWidth: pageInfo.viewportWidth,
-      pageHeight: pageInfo.pageHeight,
-      devicePixelRatio: pageInfo.devicePixelRatio,
-      capturedWidth: fullCanvas.width,
-      capturedHeight: fullCanvas.height,
-    },
-    sections: processedSections.map((s, i) => ({
-      index: i,
-      format: s.format,
-      quality: s.quality,
-      sizeMB: s.sizeMB,
-      scaled: s.scaled,
-      scaleFactor: s.scaleFactor || 1,
-      startY: s.startY,
-      endY: s.endY,
-      heightPx: s.endY - s.startY,
-    })),
-    pageStructure: {
-      headings: pageInfo.headings,
-      linkCount: pageInfo.linkCount,
-      topLinks: pageInfo.topLinks?.slice(0, 20),
-    },
-    meta: pageInfo.metaTags,
-    processing: {
-      elapsedMs: captureData.elapsedMs,
-      totalCaptures: captures.length,
-      compressionStrategy: settings.compressionStrategy,
-      textExtractionEnabled: settings.enableOCR,
-    },
-  };
+  async function saveToLibraryFromViewer() {
+    btnSaveLibrary.disabled = true;
+    btnSaveLibrary.textContent = 'Saving...';
+    try {
+      await saveToLibrary();
+      btnSaveLibrary.textContent = 'Saved to Library';
+    } catch (err) {
+      console.warn('Could not save to the library:', err);
+      btnSaveLibrary.textContent = 'Save to Library';
+      btnSaveLibrary.disabled = false;
+    }
+  }
 
-  renderMetadata(pageInfo);
-  jsonOutput.textContent = JSON.stringify(fullMetadata, null, 2);
+  // The top of the first section, scaled to the library card's width
+  async function libraryThumbnail(section) {
+    const source = section.canvas;
+    const scale = THUMBNAIL_WIDTH / source.width;
+    const height = Math.min(THUMBNAIL_HEIGHT, Math.round(source.height * scale));
+    const canvas = new OffscreenCanvas(THUMBNAIL_WIDTH, height);
+    canvas.getContext('2d').drawImage(source, 0, 0, source.width, height / scale, 0, 0, THUMBNAIL_WIDTH, height);
+    return canvas.convertToBlob({ type: 'image/jpeg', quality: 0.7 });
+  }
 
-  // ── Step 6: Render sections ───────────────────────────────────────────
+  /**
+   * A saved result, ready for the viewer: each section decoded back onto a
+   * canvas at its stitched size, which annotation flattening, PDF layout and
+   * layout.json all measure against.
+   */
+  async function restoreResult(stored) {
+    const sections = [];
+    for (const s of stored.sections) {
+      const bitmap = await createImageBitmap(s.blob);
+      const canvas = document.createElement('canvas');
+      canvas.width = s.width;
+      canvas.height = s.endY - s.startY;
+      canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+      bitmap.close();
+      const { width, ...section } = s;
+      sections.push({ ...section, canvas, url: URL.createObjectURL(s.blob) });
+    }
+    return { ...stored, sections, annotations: [] };
+  }
 
-  renderSections(processedSections);
+  function hostname(url) {
+    try {
+      return new URL(url).hostname;
+    } catch (_) {
+      return null;
+    }
+  }
 
-  // ── Done ──────────────────────────────────────────────────────────────
+  // ── Capture Sets ──────────────────────────────────────────────────────
+
+  // One tab per batch page and per width, plus Light / Dark / Compare when
+  // schemes come in pairs
+  function renderVariantTabs() {
+    if (isBatch) {
+      pageTabs.hidden = false;
+      pages.forEach((page) => {
+        const title = page.title || page.url;
+        const short = title.length > 28 ? `${title.slice(0, 27)}…` : title;
+        const btn = createVariantTab(page.status === 'done' ? short : `✕ ${short}`, () => {
+          selectedPage = page.index;
+          showSelectedVariant();
+        }, { page: page.index });
+        btn.title = page.status === 'done'
+          ? page.url
+          : `${page.url}\nFailed after ${page.attempts || 1} attempt(s): ${page.error || 'unknown error'}`;
+        btn.disabled = page.status !== 'done';
+        pageTabs.appendChild(btn);
+      });
+    }
 
-  setStatus(`Done — ${processedSections.length} section(s), total ${totalSizeMB(processedSections)} MB`, 100);
-  statusBar.classList.add('done');
+    if (widths.length > 1) {
+      breakpointTabs.hidden = false;
+      widths.forEach((width) => {
+        breakpointTabs.appendChild(createVariantTab(`${width}px`, () => {
+          selectedWidth = width;
+          showSelectedVariant();
+        }, { width }));
+      });
+    }
 
-  btnDownloadAll.disabled = false;
-  btnCopyText.disabled = false;
-  btnCopyMeta.disabled = false;
+    if (schemes.length > 1) {
+      schemeTabs.hidden = false;
+      const options = hasSchemePairs ? [...schemes, 'compare'] : schemes;
+      options.forEach((scheme) => {
+        const label = scheme[0].toUpperCase() + scheme.slice(1);
+        schemeTabs.appendChild(createVariantTab(label, () => {
+          selectedScheme = scheme;
+          showSelectedVariant();
+        }, { scheme }));
+      });
+    }
+  }
 
-  // ── Event Handlers ────────────────────────────────────────────────────
+  function createVariantTab(label, onClick, data) {
+    const btn = document.createElement('button');
+    btn.className = 'breakpoint-tab';
+    btn.textContent = label;
+    Object.assign(btn.dataset, data);
+    btn.addEventListener('click', onClick);
+    return btn;
+  }
 
-  btnDownloadAll.addEventListener('click', () => downloadAllAsZip());
-  btnCopyText.addEventListener('click', () => copyToClipboard(extractedText, btnCopyText));
-  btnCopyMeta.addEventListener('click', () => copyToClipboard(JSON.stringify(fullMetadata, null, 2), btnCopyMeta));
+  function findResult(width, scheme, page = selectedPage) {
+    return results.find(r => r.page === page &&
+      (r.variant?.width || null) === width &&
+      (r.variant?.colorScheme || null) === scheme);
+  }
+
+  function showSelectedVariant() {
+    const comparing = selectedScheme === 'compare';
+    activeResult = findResult(selectedWidth, comparing ? 'light' : selectedScheme);
+    processedSections = activeResult.sections;
+    fullMetadata = activeResult.metadata;
+    extractedText = activeResult.text;
+    selectAnnotation(null);
+
+    pageTabs.querySelectorAll('.breakpoint-tab').forEach((btn) => {
+      btn.classList.toggle('active', btn.dataset.page === String(selectedPage));
+    });
+    breakpointTabs.querySelectorAll('.breakpoint-tab').forEach((btn) => {
+      btn.classList.toggle('active', btn.dataset.width === String(selectedWidth));
+    });
+    schemeTabs.querySelectorAll('.breakpoint-tab').forEach((btn) => {
+      btn.classList.toggle('active', btn.dataset.scheme === selectedScheme);
+    });
+
+    ocrText.textContent = extractedText || '(No text extracted)';
+    renderMetadata(activeResult.pageInfo);
+    jsonOutput.textContent = JSON.stringify(fullMetadata, null, 2);
+
+    if (comparing) {
+      renderComparison(activeResult, findResult(selectedWidth, 'dark'));
+    } else {
+      renderSections(processedSections);
+    }
+  }
+
+  function variantLabel(variant) {
+    return [variant.width && `${variant.width}px`, variant.colorScheme].filter(Boolean).join(' · ');
+  }
 
   // ── Render Functions ──────────────────────────────────────────────────
 
   function renderSections(sectionList) {
     sectionsGrid.textContent = '';
+    annotateBar.hidden = false;
+    overlays.forEach(o => o.observer.disconnect());
+    overlays = [];
 
     sectionList.forEach((s, i) => {
       const card = document.createElement('div');
@@ -325,7 +1084,10 @@ const ZipBuilder = (() => {
 
       const openBtn = document.createElement('button');
       openBtn.textContent = 'Open';
-      openBtn.addEventListener('click', () => window.open(sectionList[i].url, '_blank'));
+      openBtn.addEventListener('click', async () => {
+        await flattenAnnotations(activeResult);
+        window.open(sectionList[i].url, '_blank');
+      });
 
       actionsDiv.appendChild(dlBtn);
       actionsDiv.appendChild(openBtn);
@@ -334,25 +1096,114 @@ const ZipBuilder = (() => {
       header.appendChild(actionsDiv);
       card.appendChild(header);
 
+      // The plain image, with annotations drawn live on the overlay above it
+      const imageWrap = document.createElement('div');
+      imageWrap.className = 'section-image';
       const img = document.createElement('img');
-      img.src = s.url;
+      img.src = s.plain?.url || s.url;
       img.alt = `Section ${i + 1}`;
       img.loading = 'lazy';
-      card.appendChild(img);
+      imageWrap.appendChild(img);
+      imageWrap.appendChild(createOverlay(s));
+      card.appendChild(imageWrap);
 
       sectionsGrid.appendChild(card);
     });
   }
 
+  /**
+   * Light over dark, split by a slider. Each layer stacks its own sections,
+   * so the two pages line up even when they were split at different rows.
+   */
+  function renderComparison(light, dark) {
+    sectionsGrid.textContent = '';
+    annotateBar.hidden = true;
+    overlays.forEach(o => o.observer.disconnect());
+    overlays = [];
+
+    const card = document.createElement('div');
+    card.className = 'section-card compare-card';
+
+    const header = document.createElement('div');
+    header.className = 'section-card-header';
+    const badge = document.createElement('span');
+    badge.className = 'badge';
+    badge.textContent = 'Light ◀ ▶ Dark';
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = '0';
+    slider.max = '100';
+    slider.value = '50';
+    slider.className = 'compare-slider';
+    header.appendChild(badge);
+    header.appendChild(slider);
+    card.appendChild(header);
+
+    const stage = document.createElement('div');
+    stage.className = 'compare-stage';
+    const darkLayer = createCompareLayer(dark.sections, 'Dark');
+    const lightLayer = createCompareLayer(light.sections, 'Light');
+    lightLayer.classList.add('compare-top');
+    const divider = document.createElement('div');
+    divider.className = 'compare-divider';
+    stage.appendChild(darkLayer);
+    stage.appendChild(lightLayer);
+    stage.appendChild(divider);
+    card.appendChild(stage);
+
+    const update = () => {
+      lightLayer.style.clipPath = `inset(0 ${100 - slider.value}% 0 0)`;
+      divider.style.left = `${slider.value}%`;
+    };
+    slider.addEventListener('input', update);
+    update();
+
+    sectionsGrid.appendChild(card);
+  }
+
+  function createCompareLayer(sectionList, label) {
+    const layer = document.createElement('div');
+    layer.className = 'compare-layer';
+    sectionList.forEach((s, i) => {
+      const img = document.createElement('img');
+      img.src = s.url;
+      img.alt = `${label} section ${i + 1}`;
+      layer.appendChild(img);
+    });
+    return layer;
+  }
+
   function renderMetadata(info) {
     const items = [
       { label: 'URL', value: info.url, isLink: true },
       { label: 'Title', value: info.title },
       { label: 'Captured', value: info.capturedAt },
-      { label: 'Page Size', value: `${info.viewportWidth} x ${info.pageHeight} px` },
+      { label: 'Page Size', value: `${info.pageWidth || info.viewportWidth} x ${info.pageHeight} px` },
       { label: 'Device Pixel Ratio', value: `${info.devicePixelRatio}x` },
       { label: 'Language', value: info.documentLang },
     ];
+    if (info.colorScheme) {
+      items.push({ label: 'Color Scheme', value: info.colorScheme });
+    }
+    if (info.capturedElement) {
+      const r = info.capturedElement.region;
+      items.push({ label: 'Captured Element', value: `${info.capturedElement.element} (${r.width} x ${r.height} px)` });
+    }
+    if (info.capturedRegion) {
+      const r = info.capturedRegion;
+      items.push({ label: 'Captured Region', value: `${r.width} x ${r.height} px at (${r.left}, ${r.top})` });
+    }
+    if (info.scrollContainer) {
+      items.push({ label: 'Scroll Container', value: info.scrollContainer.element });
+    }
+    if (info.redaction) {
+      const textMasks = Object.values(info.redaction.text)
+        .reduce((n, counts) => n + Object.values(counts).reduce((a, b) => a + b, 0), 0);
+      items.push({
+        label: 'Redacted',
+        value: `${info.redaction.regions.length} area(s) (${info.redaction.style}), ${textMasks} text match(es)`,
+      });
+    }
 
     metaGrid.textContent = '';
 
@@ -433,6 +1284,290 @@ const ZipBuilder = (() => {
     }
   }
 
+  // ── Annotations ───────────────────────────────────────────────────────
+  //
+  // Each result holds its annotations as vectors in page coordinates (see
+  // lib/annotations.js) and saves them with the session. Section cards draw
+  // them on an overlay canvas that also takes the pointer; exports flatten
+  // them into re-compressed copies of the sections, so they land wherever
+  // the section breaks fall and whatever the compression settings.
+
+  const LAYOUT_COLORS = {
+    heading: '#e67e22',
+    link: '#3498db',
+    button: '#9b59b6',
+    field: '#27ae60',
+    image: '#e91e63',
+    landmark: '#7f8c8d',
+  };
+
+  // Variants of one session each keep their own markup
+  function annotationKey(result) {
+    const v = result.variant || {};
+    return [result.page, v.width || '', v.colorScheme || ''].join(':');
+  }
+
+  function setAnnotations(result, annotations) {
+    result.annotations = annotations;
+    result.metadata.annotations = {
+      coordinates: 'page', // CSS px from the top-left of the document
+      items: annotations.map(a => ({ ...a })),
+    };
+  }
+
+  // After any edit: refresh metadata, redraw, and persist
+  function annotationsChanged(result) {
+    setAnnotations(result, result.annotations);
+    if (result === activeResult) {
+      jsonOutput.textContent = JSON.stringify(fullMetadata, null, 2);
+      redrawOverlays();
+    }
+    const key = annotationKey(result);
+    if (sessionId) {
+      SessionStore.updateSession(sessionId, (session) => {
+        session.annotations = { ...session.annotations, [key]: result.annotations };
+      }).catch(err => console.warn('Could not save annotations:', err));
+    }
+    LibraryStore.updateAnnotations(libraryId || sessionId, key, result.annotations)
+      .catch(err => console.warn('Could not save annotations to the library:', err));
+  }
+
+  /**
+   * Where a section sits in page coordinates, and how many canvas pixels a
+   * page px is at `pixelsPerImagePx` (1 for the section image itself).
+   */
+  function sectionView(result, section, pixelsPerImagePx = 1) {
+    const { pageInfo } = result;
+    const dpr = pageInfo.devicePixelRatio || 1;
+    return {
+      scale: dpr * pixelsPerImagePx,
+      originX: pageInfo.captureRegion?.left || 0,
+      originY: (pageInfo.captureRegion?.top || 0) + section.startY / dpr,
+    };
+  }
+
+  function createOverlay(section) {
+    const canvas = document.createElement('canvas');
+    canvas.className = 'annotation-overlay';
+    canvas.classList.toggle('selecting', annotationTool === 'select');
+    const overlay = { canvas, section, observer: new ResizeObserver(() => sizeOverlay(overlay)) };
+    overlay.observer.observe(canvas);
+    overlays.push(overlay);
+
+    canvas.addEventListener('pointerdown', e => startPointerAction(e, overlay));
+    canvas.addEventListener('pointermove', e => movePointerAction(e, overlay));
+    canvas.addEventListener('pointerup', () => endPointerAction());
+    canvas.addEventListener('pointercancel', () => endPointerAction());
+    canvas.addEventListener('dblclick', e => editTextAnnotation(e, overlay));
+    return canvas;
+  }
+
+  // Overlays are drawn at their on-screen size, not the full image resolution
+  function sizeOverlay(overlay) {
+    const { canvas } = overlay;
+    canvas.width = Math.round(canvas.clientWidth);
+    canvas.height = Math.round(canvas.clientHeight);
+    drawOverlay(overlay);
+  }
+
+  function drawOverlay({ canvas, section }) {
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (!canvas.width) return;
+    const view = sectionView(activeResult, section, canvas.width / section.canvas.width);
+    if (showLayout) drawLayoutBoxes(ctx, activeResult.pageInfo.layout || [], view);
+    Annotations.draw(ctx, activeResult.annotations, { ...view, selectedId: selectedAnnotationId });
+  }
+
+  function drawLayoutBoxes(ctx, boxes, view) {
+    ctx.save();
+    ctx.scale(view.scale, view.scale);
+    ctx.translate(-view.originX, -view.originY);
+    ctx.lineWidth = 1 / view.scale;
+    for (const box of boxes) {
+      ctx.strokeStyle = LAYOUT_COLORS[box.kind];
+      ctx.strokeRect(box.x, box.y, box.w, box.h);
+    }
+    ctx.restore();
+  }
+
+  function redrawOverlays() {
+    overlays.forEach(drawOverlay);
+  }
+
+  // Pointer position in page coordinates, via the overlay it started on
+  function toPagePoint(e, { canvas, section }) {
+    const rect = canvas.getBoundingClientRect();
+    const view = sectionView(activeResult, section, rect.width / section.canvas.width);
+    return [
+      view.originX + (e.clientX - rect.left) / view.scale,
+      view.originY + (e.clientY - rect.top) / view.scale,
+    ];
+  }
+
+  function hitAnnotation(x, y, overlay) {
+    const tolerance = 4 / sectionView(activeResult, overlay.section, overlay.canvas.width / overlay.section.canvas.width).scale;
+    return [...activeResult.annotations].reverse().find(a => Annotations.hitTest(a, x, y, Math.max(tolerance, 2)));
+  }
+
+  function startPointerAction(e, overlay) {
+    if (e.button !== 0) return;
+    const [x, y] = toPagePoint(e, overlay);
+    const color = annotateColor.value;
+    const id = crypto.randomUUID();
+    const list = activeResult.annotations;
+
+    if (annotationTool === 'select') {
+      const hit = hitAnnotation(x, y, overlay);
+      selectAnnotation(hit?.id || null);
+      if (hit) pointerAction = { kind: 'move', annotation: hit, last: [x, y], moved: false };
+    } else if (annotationTool === 'callout') {
+      const number = list.reduce((n, a) => (a.type === 'callout' ? Math.max(n, a.number) : n), 0) + 1;
+      list.push({ id, type: 'callout', color, x, y, number });
+      annotationsChanged(activeResult);
+    } else if (annotationTool === 'text') {
+      const text = prompt('Label text')?.trim();
+      if (!text) return;
+      list.push({ id, type: 'text', color, x, y, text });
+      annotationsChanged(activeResult);
+    } else {
+      const draft = annotationTool === 'arrow' || annotationTool === 'freehand'
+        ? { id, type: annotationTool, color, points: [[x, y], [x, y]] }
+        : { id, type: annotationTool, color, x, y, w: 0, h: 0 };
+      list.push(draft);
+      pointerAction = { kind: 'draw', annotation: draft };
+    }
+
+    if (pointerAction) overlay.canvas.setPointerCapture(e.pointerId);
+  }
+
+  function movePointerAction(e, overlay) {
+    if (!pointerAction) return;
+    const [x, y] = toPagePoint(e, overlay);
+    const a = pointerAction.annotation;
+
+    if (pointerAction.kind === 'move') {
+      const [lx, ly] = pointerAction.last;
+      Annotations.translate(a, x - lx, y - ly);
+      pointerAction.last = [x, y];
+      pointerAction.moved = true;
+    } else if (a.type === 'freehand') {
+      a.points.push([x, y]);
+    } else if (a.type === 'arrow') {
+      a.points[1] = [x, y];
+    } else {
+      a.w = x - a.x;
+      a.h = y - a.y;
+    }
+    redrawOverlays();
+  }
+
+  function endPointerAction() {
+    if (!pointerAction) return;
+    const { kind, annotation: a, moved } = pointerAction;
+    pointerAction = null;
+
+    if (kind === 'draw') {
+      // Boxes are stored with a positive size; clicks without a drag are dropped
+      if (a.points) {
+        const b = Annotations.bounds(a);
+        if (Math.max(b.w, b.h) < 3) activeResult.annotations.pop();
+      } else {
+        Object.assign(a, Annotations.bounds(a));
+        if (a.w < 3 || a.h < 3) activeResult.annotations.pop();
+      }
+    } else if (!moved) {
+      return;
+    }
+    annotationsChanged(activeResult);
+  }
+
+  function editTextAnnotation(e, overlay) {
+    if (annotationTool !== 'select') return;
+    const hit = hitAnnotation(...toPagePoint(e, overlay), overlay);
+    if (hit?.type !== 'text') return;
+    const text = prompt('Label text', hit.text)?.trim();
+    if (!text) return;
+    hit.text = text;
+    annotationsChanged(activeResult);
+  }
+
+  function findAnnotation(id) {
+    return id ? activeResult?.annotations.find(a => a.id === id) : null;
+  }
+
+  function selectAnnotation(id) {
+    selectedAnnotationId = id;
+    const selected = findAnnotation(id);
+    if (selected) annotateColor.value = selected.color;
+    btnAnnotateDelete.disabled = !selected;
+    redrawOverlays();
+  }
+
+  function deleteSelectedAnnotation() {
+    if (!selectedAnnotationId) return;
+    activeResult.annotations = activeResult.annotations.filter(a => a.id !== selectedAnnotationId);
+    selectAnnotation(null);
+    annotationsChanged(activeResult);
+  }
+
+  /**
+   * Bring each section's exported image up to date with the annotations over
+   * it: drawn onto a copy of the plain section and re-compressed with the
+   * capture's settings. The plain image is kept for the editor (and for when
+   * the annotations go away again); unchanged sections are skipped.
+   */
+  async function flattenAnnotations(result) {
+    const dpr = result.pageInfo.devicePixelRatio || 1;
+    for (let i = 0; i < result.sections.length; i++) {
+      const s = result.sections[i];
+      const view = sectionView(result, s);
+      const over = result.annotations.filter(a =>
+        Annotations.intersectsRows(a, view.originY, view.originY + (s.endY - s.startY) / dpr));
+      const signature = JSON.stringify(over);
+      if (signature === (s.flattened || '[]')) continue;
+
+      if (!s.plain) {
+        const { blob, url, format, quality, scaled, scaleFactor, sizeMB } = s;
+        s.plain = { blob, url, format, quality, scaled, scaleFactor, sizeMB };
+      }
+      if (s.url !== s.plain.url) URL.revokeObjectURL(s.url);
+
+      if (over.length === 0) {
+        Object.assign(s, s.plain);
+      } else {
+        const canvas = document.createElement('canvas');
+        canvas.width = s.canvas.width;
+        canvas.height = s.canvas.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(s.canvas, 0, 0);
+        Annotations.draw(ctx, over, view);
+        const out = await ImageProcessor.compress(canvas, {
+          maxFileSizeMB: result.settings.maxFileSizeMB,
+          compressionStrategy: result.settings.compressionStrategy,
+          quality: result.settings.quality,
+        });
+        Object.assign(s, {
+          blob: out.blob,
+          url: URL.createObjectURL(out.blob),
+          format: out.format,
+          quality: out.quality,
+          scaled: out.scaled,
+          scaleFactor: out.scaleFactor,
+          sizeMB: (out.blob.size / (1024 * 1024)).toFixed(2),
+        });
+      }
+      s.flattened = signature;
+      Object.assign(result.metadata.sections[i], {
+        format: s.format,
+        quality: s.quality,
+        sizeMB: s.sizeMB,
+        scaled: s.scaled,
+        scaleFactor: s.scaleFactor || 1,
+      });
+    }
+  }
+
   // ── Utility Functions ─────────────────────────────────────────────────
 
   function setStatus(text, pct, isError = false) {
@@ -447,10 +1582,12 @@ const ZipBuilder = (() => {
     return sectionList.reduce((sum, s) => sum + parseFloat(s.sizeMB), 0).toFixed(2);
   }
 
-  function downloadSection(index) {
+  async function downloadSection(index) {
+    await flattenAnnotations(activeResult);
     const section = processedSections[index];
     const ext = section.format.split('/')[1];
-    const name = `gobble_${sanitizeFilename(fullMetadata.source.title)}_section${index + 1}.${ext}`;
+    const variant = variantSuffix(activeResult.variant);
+    const name = `gobble_${sanitizeFilename(fullMetadata.source.title)}${variant}_section${index + 1}.${ext}`;
     triggerDownload(section.url, name);
   }
 
@@ -464,113 +1601,62 @@ const ZipBuilder = (() => {
       const baseName = sanitizeFilename(fullMetadata.source.title);
       const files = [];
 
-      // Add image sections
-      for (let i = 0; i < processedSections.length; i++) {
-        const s = processedSections[i];
-        const ext = s.format.split('/')[1];
-        const data = new Uint8Array(await s.blob.arrayBuffer());
-        files.push({ name: `section_${i + 1}.${ext}`, data });
-      }
-
-      // Add metadata JSON
-      const metaStr = JSON.stringify(fullMetadata, null, 2);
-      files.push({
-        name: 'metadata.json',
-        data: new TextEncoder().encode(metaStr),
-      });
-
-      // Add full page text
-      if (extractedText) {
-        files.push({
-          name: 'page_text.txt',
-          data: new TextEncoder().encode(extractedText),
-        });
+      for (const result of results) {
+        await flattenAnnotations(result);
+        // Batch pages, then each width / color scheme, get their own folder
+        const folder = pageFolder(result.page) + (result.variant ? variantFolder(result.variant) : '');
+        const setFiles = await collectCaptureFiles(result, { designTokens: !hasSchemePairs });
+        setFiles.forEach(f => files.push({ name: folder + f.name, data: f.data }));
       }
 
-      // Add DOM structure
-      if (captureData.pageInfo.domStructure) {
-        files.push({
-          name: 'dom_structure.html',
-          data: new TextEncoder().encode(captureData.pageInfo.domStructure),
-        });
-      }
-
-      // Add image assets catalog
-      if (captureData.pageInfo.imageAssets) {
-        files.push({
-          name: 'assets.json',
-          data: new TextEncoder().encode(JSON.stringify(captureData.pageInfo.imageAssets, null, 2)),
-        });
-      }
-
-      // Add structured data (JSON-LD, Open Graph, Twitter)
-      if (captureData.pageInfo.structuredData?.length > 0) {
-        files.push({
-          name: 'structured_data.json',
-          data: new TextEncoder().encode(JSON.stringify(captureData.pageInfo.structuredData, null, 2)),
-        });
-      }
-
-      // Add design tokens (colors, fonts, CSS vars)
-      if (captureData.pageInfo.designTokens) {
-        files.push({
-          name: 'design_tokens.json',
-          data: new TextEncoder().encode(JSON.stringify(captureData.pageInfo.designTokens, null, 2)),
-        });
-      }
-
-      // Add stylesheets
-      if (captureData.pageInfo.stylesheets?.length > 0) {
-        const cssFiles = captureData.pageInfo.stylesheets
-          .filter(s => s.css)
-          .map(s => s.type === 'inline' ? `/* Inline style block ${s.index} */\n${s.css}` : `/* ${s.href} */\n${s.css}`)
-          .join('\n\n');
-        if (cssFiles) {
-          files.push({
-            name: 'styles.css',
-            data: new TextEncoder().encode(cssFiles),
+      // Light/dark pairs share one design_tokens.json holding both palettes
+      if (hasSchemePairs && results[0].artifacts?.designTokens !== false) {
+        pages.forEach((page) => {
+          widths.forEach((width) => {
+            const light = findResult(width, 'light', page.index);
+            const dark = findResult(width, 'dark', page.index);
+            if (!light && !dark) return;
+            const tokens = {
+              light: light?.pageInfo.designTokens || null,
+              dark: dark?.pageInfo.designTokens || null,
+            };
+            const folder = pageFolder(page.index) + (width && widths.length > 1 ? `${width}px/` : '');
+            files.push({
+              name: `${folder}design_tokens.json`,
+              data: new TextEncoder().encode(JSON.stringify(tokens, null, 2)),
+            });
           });
-        }
-      }
-
-      // Add external resources map
-      if (captureData.pageInfo.externalResources) {
-        files.push({
-          name: 'resources.json',
-          data: new TextEncoder().encode(JSON.stringify(captureData.pageInfo.externalResources, null, 2)),
         });
       }
 
-      // Add forms
-      if (captureData.pageInfo.forms?.length > 0) {
+      // Batch index: every page with its status and where its files are
+      if (isBatch) {
+        const index = {
+          createdAt: new Date(captureData.timestamp).toISOString(),
+          elapsedMs: captureData.elapsedMs,
+          pages: pages.map(page => ({
+            index: page.index + 1,
+            url: page.url,
+            title: page.title,
+            status: page.status,
+            attempts: page.attempts,
+            error: page.error || null,
+            folder: page.status === 'done' ? pageFolder(page.index) : null,
+            sections: results
+              .filter(r => r.page === page.index)
+              .reduce((n, r) => n + r.sections.length, 0),
+          })),
+        };
         files.push({
-          name: 'forms.json',
-          data: new TextEncoder().encode(JSON.stringify(captureData.pageInfo.forms, null, 2)),
-        });
-      }
-
-      // Add full link map
-      if (captureData.pageInfo.allLinks?.length > 0) {
-        files.push({
-          name: 'links.json',
-          data: new TextEncoder().encode(JSON.stringify(captureData.pageInfo.allLinks, null, 2)),
-        });
-      }
-
-      // Add console logs
-      if (captureData.pageInfo.consoleLogs?.length > 0) {
-        const logText = captureData.pageInfo.consoleLogs
-          .map(e => `[${e.timestamp}] [${e.level.toUpperCase()}] ${e.message}`)
-          .join('\n');
-        files.push({
-          name: 'console.log',
-          data: new TextEncoder().encode(logText),
+          name: 'index.json',
+          data: new TextEncoder().encode(JSON.stringify(index, null, 2)),
         });
       }
 
       const zipBlob = ZipBuilder.createZip(files);
       const zipUrl = URL.createObjectURL(zipBlob);
-      triggerDownload(zipUrl, `gobble_${baseName}.zip`);
+      const zipName = isBatch ? `gobble_batch_${pages.length}_pages` : `gobble_${baseName}`;
+      triggerDownload(zipUrl, `${zipName}.zip`);
 
       btn.textContent = 'Downloaded!';
       setTimeout(() => {
@@ -601,6 +1687,493 @@ const ZipBuilder = (() => {
     }
   }
 
+  // ── PDF Export ────────────────────────────────────────────────────────
+  //
+  // The sections of the variant on screen, on A4 pages under a header with
+  // the URL and capture time. "fit-width" flows the page image across as
+  // many pages as it takes (a section straddling a page break is drawn on
+  // both, clipped); "per-section" scales each section onto its own page.
+  // Headings become outline bookmarks at their place in the image.
+
+  const PDF_PAGE = { width: 595.28, height: 841.89 }; // A4, points
+  const PDF_MARGIN = 36;
+  const PDF_HEADER = 26; // header band below the top margin
+
+  async function downloadPdf(layout) {
+    const btn = btnDownloadPdf;
+    const origText = btn.textContent;
+    btn.textContent = 'Building PDF...';
+    btn.disabled = true;
+
+    try {
+      const { pageInfo } = activeResult;
+      await flattenAnnotations(activeResult);
+      const images = [];
+      for (const section of processedSections) images.push(await pdfImage(section));
+
+      const pages = layout === 'per-section'
+        ? layoutPerSection(processedSections)
+        : layoutFitWidth(processedSections);
+      const outline = pdfOutline(pageInfo, pages);
+      addPdfHeaders(pages, pageInfo);
+
+      const pdf = PdfBuilder.createPdf({
+        images,
+        pages,
+        outline,
+        info: { title: pageInfo.title || pageInfo.url, subject: pageInfo.url },
+      });
+      const url = URL.createObjectURL(pdf);
+      triggerDownload(url, `gobble_${sanitizeFilename(pageInfo.title)}${variantSuffix(activeResult.variant)}.pdf`);
+      setTimeout(() => URL.revokeObjectURL(url), 2000);
+      btn.textContent = 'Downloaded!';
+    } catch (err) {
+      console.error('PDF export failed:', err);
+      btn.textContent = 'PDF failed';
+    }
+    setTimeout(() => {
+      btn.textContent = origText;
+      btn.disabled = false;
+    }, 2000);
+  }
+
+  // PDFs embed JPEG as-is; WebP / PNG sections are re-encoded first
+  async function pdfImage(section) {
+    let blob = section.blob;
+    if (section.format !== 'image/jpeg') {
+      const bitmap = await createImageBitmap(blob);
+      const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#fff'; // JPEG has no alpha
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(bitmap, 0, 0);
+      bitmap.close();
+      blob = await canvas.convertToBlob({ type: 'image/jpeg', quality: Math.min(section.quality || 0.92, 0.92) });
+    }
+    const data = new Uint8Array(await blob.arrayBuffer());
+    const size = PdfBuilder.jpegSize(data);
+    if (!size) throw new Error('Unreadable JPEG section');
+    return { data, ...size };
+  }
+
+  /**
+   * Each laid-out page also records which stretch of the stitched image
+   * (in image pixels) it shows and at what scale, for placing bookmarks.
+   */
+  function layoutFitWidth(sections) {
+    const contentW = PDF_PAGE.width - 2 * PDF_MARGIN;
+    const contentTop = PDF_PAGE.height - PDF_MARGIN - PDF_HEADER;
+    const contentH = contentTop - PDF_MARGIN;
+    const imageW = sections[0].canvas.width;
+    const imageH = sections.at(-1).endY;
+    const scale = Math.min(contentW / imageW, 1);
+    const sliceH = contentH / scale;
+
+    const pages = [];
+    for (let top = 0; top < imageH; top += sliceH) {
+      const bottom = Math.min(imageH, top + sliceH);
+      const clip = { x: PDF_MARGIN, y: contentTop - (bottom - top) * scale, w: imageW * scale, h: (bottom - top) * scale };
+      const draws = sections
+        .map((s, image) => ({ s, image }))
+        .filter(({ s }) => s.startY < bottom && s.endY > top)
+        .map(({ s, image }) => {
+          const h = (s.endY - s.startY) * scale;
+          return { image, x: PDF_MARGIN, y: contentTop - (s.startY - top) * scale - h, w: s.canvas.width * scale, h, clip };
+        });
+      pages.push({ ...PDF_PAGE, draws, texts: [], span: { from: top, to: bottom, top: contentTop, scale } });
+    }
+    return pages;
+  }
+
+  function layoutPerSection(sections) {
+    const contentW = PDF_PAGE.width - 2 * PDF_MARGIN;
+    const contentTop = PDF_PAGE.height - PDF_MARGIN - PDF_HEADER;
+    const contentH = contentTop - PDF_MARGIN;
+
+    return sections.map((s, image) => {
+      const height = s.endY - s.startY;
+      const scale = Math.min(contentW / s.canvas.width, contentH / height, 1);
+      const h = height * scale;
+      return {
+        ...PDF_PAGE,
+        draws: [{ image, x: PDF_MARGIN, y: contentTop - h, w: s.canvas.width * scale, h }],
+        texts: [],
+        span: { from: s.startY, to: s.endY, top: contentTop, scale },
+      };
+    });
+  }
+
+  // Heading offsets are CSS px in the page; the image starts at the region's top
+  function pdfOutline(pageInfo, pages) {
+    const dpr = pageInfo.devicePixelRatio || 1;
+    const regionTop = pageInfo.captureRegion?.top || 0;
+    const outline = [];
+    for (const heading of headingPositions(pageInfo)) {
+      const y = (heading.y - regionTop) * dpr;
+      const page = pages.findIndex(p => y >= p.span.from && y < p.span.to);
+      if (page === -1 || !heading.text) continue;
+      const { span } = pages[page];
+      outline.push({
+        title: heading.text.replace(/\s+/g, ' '),
+        level: heading.level,
+        page,
+        y: span.top - (y - span.from) * span.scale,
+      });
+    }
+    return outline;
+  }
+
+  /**
+   * The page's headings with their top in page coordinates (CSS px). Layout
+   * boxes place them exactly, pageY nearly; captures older than both only
+   * have offsetTop, which is exact only outside positioned containers.
+   */
+  function headingPositions(pageInfo) {
+    const boxes = (pageInfo.layout || []).filter(b => b.kind === 'heading');
+    if (boxes.length) return boxes.map(b => ({ level: b.level, text: b.label, y: b.y }));
+    return (pageInfo.headings || []).map(h => ({ level: h.level, text: h.text, y: h.pageY ?? h.offsetTop }));
+  }
+
+  function addPdfHeaders(pages, pageInfo) {
+    const captured = new Date(pageInfo.capturedAt || Date.now()).toLocaleString();
+    const maxChars = size => Math.floor((PDF_PAGE.width - 2 * PDF_MARGIN) / (size * 0.5));
+    const fit = (text, size) => (text.length > maxChars(size) ? `${text.slice(0, maxChars(size) - 3)}...` : text);
+    const headerTop = PDF_PAGE.height - PDF_MARGIN;
+
+    pages.forEach((page, i) => {
+      page.texts.push(
+        { x: PDF_MARGIN, y: headerTop - 9, size: 9, text: fit(pageInfo.title || pageInfo.url, 9) },
+        { x: PDF_MARGIN, y: headerTop - 20, size: 7, text: fit(`${pageInfo.url}  |  Captured ${captured}`, 7) },
+        { x: PDF_PAGE.width - PDF_MARGIN - 50, y: PDF_MARGIN / 2, size: 7, text: `Page ${i + 1} of ${pages.length}` },
+      );
+    });
+  }
+
+  // ── HTML Report ───────────────────────────────────────────────────────
+  //
+  // One offline .html file for the variant on screen, for readers who won't
+  // unpack a ZIP: the sections inlined and stacked into one page image, a
+  // contents sidebar from the headings, clickable hotspots over the links
+  // (from the layout boxes), and collapsible panels for the text, metadata,
+  // design tokens and console log. Everything is placed in percentages of
+  // the image, so it scales with the window; anchors and <details> do the
+  // rest without any script.
+
+  const REPORT_CSS = `
+    * { box-sizing: border-box; }
+    body { margin: 0; display: flex; font: 14px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #222; background: #f4f1ec; }
+    aside { position: sticky; top: 0; height: 100vh; width: 280px; flex-shrink: 0; overflow-y: auto; padding: 20px; background: #fff; border-right: 1px solid #e2dbd0; }
+    aside h1 { font-size: 16px; margin: 0 0 6px; }
+    aside .source { font-size: 12px; color: #777; margin: 0 0 18px; word-break: break-all; }
+    aside h2 { font-size: 11px; text-transform: uppercase; letter-spacing: 0.8px; color: #999; margin: 0 0 8px; }
+    aside ol { list-style: none; margin: 0; padding: 0; font-size: 13px; }
+    aside li { margin: 3px 0; }
+    aside li.h2 { padding-left: 12px; }
+    aside li.h3, aside li.h4, aside li.h5, aside li.h6 { padding-left: 24px; font-size: 12px; }
+    aside a { color: #8b4513; text-decoration: none; }
+    aside a:hover { text-decoration: underline; }
+    main { flex: 1; min-width: 0; padding: 24px; }
+    .page { position: relative; margin: 0 auto; box-shadow: 0 2px 16px rgba(0,0,0,0.15); background: #fff; }
+    .page img { display: block; width: 100%; }
+    .anchor { position: absolute; left: 0; scroll-margin-top: 12px; }
+    .hotspot { position: absolute; border-radius: 2px; }
+    .hotspot:hover, .hotspot:focus { outline: 2px solid rgba(212, 118, 44, 0.9); background: rgba(212, 118, 44, 0.12); }
+    .panels { max-width: 960px; margin: 24px auto 0; }
+    details { background: #fff; border: 1px solid #e2dbd0; border-radius: 8px; margin-bottom: 10px; }
+    summary { cursor: pointer; padding: 10px 14px; font-weight: 600; }
+    pre { margin: 0; padding: 12px 14px; border-top: 1px solid #e2dbd0; max-height: 480px; overflow: auto; font: 12px/1.5 'SF Mono', Menlo, Consolas, monospace; white-space: pre-wrap; word-break: break-word; }
+  `;
+
+  async function downloadHtmlReport() {
+    const btn = btnDownloadHtml;
+    const origText = btn.textContent;
+    btn.textContent = 'Building report...';
+    btn.disabled = true;
+
+    try {
+      await flattenAnnotations(activeResult);
+      const report = await buildHtmlReport(activeResult);
+      const url = URL.createObjectURL(new Blob(report, { type: 'text/html' }));
+      triggerDownload(url, `gobble_${sanitizeFilename(activeResult.pageInfo.title)}${variantSuffix(activeResult.variant)}.html`);
+      setTimeout(() => URL.revokeObjectURL(url), 2000);
+      btn.textContent = 'Downloaded!';
+    } catch (err) {
+      console.error('HTML report failed:', err);
+      btn.textContent = 'Report failed';
+    }
+    setTimeout(() => {
+      btn.textContent = origText;
+      btn.disabled = false;
+    }, 2000);
+  }
+
+  /** The report as Blob parts, so the inlined images aren't joined into one huge string. */
+  async function buildHtmlReport(result) {
+    const { pageInfo, sections, metadata } = result;
+    const include = artifact => result.artifacts?.[artifact] !== false;
+    const dpr = pageInfo.devicePixelRatio || 1;
+    const region = pageInfo.captureRegion || { left: 0, top: 0 };
+    const width = sections[0].canvas.width;
+    const rows = sections[sections.length - 1].endY;
+    const pct = (value, total) => `${((value / total) * 100).toFixed(4)}%`;
+    const box = b => [
+      `left:${pct((b.x - region.left) * dpr, width)}`,
+      `top:${pct((b.y - region.top) * dpr, rows)}`,
+      `width:${pct(b.w * dpr, width)}`,
+      `height:${pct(b.h * dpr, rows)}`,
+    ].join(';');
+
+    const layout = pageInfo.layout || [];
+    const headings = headingPositions(pageInfo)
+      .map(h => ({ ...h, y: (h.y - region.top) * dpr }))
+      .filter(h => h.text && h.y >= 0 && h.y < rows)
+      .map((h, i) => ({ ...h, id: `heading-${i + 1}` }));
+    const links = layout.filter(b => b.kind === 'link' && /^(https?|mailto):/i.test(b.href || ''));
+
+    const parts = [
+      '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="UTF-8">\n',
+      '<meta name="viewport" content="width=device-width, initial-scale=1.0">\n',
+      `<title>${escapeHtml(pageInfo.title || pageInfo.url)}</title>\n<style>${REPORT_CSS}</style>\n</head>\n<body>\n`,
+      '<aside>\n',
+      `<h1>${escapeHtml(pageInfo.title || pageInfo.url)}</h1>\n`,
+      `<p class="source"><a href="${escapeHtml(pageInfo.url)}">${escapeHtml(pageInfo.url)}</a><br>`,
+      `Captured ${escapeHtml(new Date(pageInfo.capturedAt || Date.now()).toLocaleString())}</p>\n`,
+    ];
+    if (headings.length) {
+      parts.push('<h2>Contents</h2>\n<ol>\n');
+      headings.forEach((h) => {
+        parts.push(`<li class="h${h.level}"><a href="#${h.id}">${escapeHtml(h.text)}</a></li>\n`);
+      });
+      parts.push('</ol>\n');
+    }
+    parts.push('</aside>\n<main>\n');
+
+    parts.push(`<div class="page" style="max-width:${Math.round(width / dpr)}px">\n`);
+    for (let i = 0; i < sections.length; i++) {
+      parts.push(`<img src="${await blobToDataUrl(sections[i].blob)}" alt="Section ${i + 1}">\n`);
+    }
+    headings.forEach((h) => {
+      parts.push(`<span class="anchor" id="${h.id}" style="top:${pct(h.y, rows)}"></span>\n`);
+    });
+    links.forEach((link) => {
+      const title = escapeHtml(link.label ? `${link.label} — ${link.href}` : link.href);
+      parts.push(`<a class="hotspot" href="${escapeHtml(link.href)}" title="${title}" target="_blank" rel="noopener noreferrer" style="${box(link)}"></a>\n`);
+    });
+    parts.push('</div>\n<div class="panels">\n');
+
+    const panel = (title, body) => {
+      parts.push(`<details>\n<summary>${escapeHtml(title)}</summary>\n<pre>${escapeHtml(body)}</pre>\n</details>\n`);
+    };
+    if (include('text') && result.text) panel('Page text', result.text);
+    if (include('metadata')) panel('Metadata', JSON.stringify(metadata, null, 2));
+    if (include('designTokens') && pageInfo.designTokens) panel('Design tokens', JSON.stringify(pageInfo.designTokens, null, 2));
+    if (include('console') && pageInfo.consoleLogs?.length > 0) {
+      panel('Console log', pageInfo.consoleLogs
+        .map(e => `[${e.timestamp}] [${e.level.toUpperCase()}] ${e.message}`)
+        .join('\n'));
+    }
+    parts.push('</div>\n</main>\n</body>\n</html>\n');
+    return parts;
+  }
+
+  /**
+   * Every file of one capture set, named relative to its ZIP folder —
+   * minus the artifacts its settings (or preset) leave out.
+   */
+  async function collectCaptureFiles(result, { designTokens = true } = {}) {
+    const files = [];
+    const include = artifact => result.artifacts?.[artifact] !== false;
+
+    // Add image sections
+    if (include('sections')) {
+      for (let i = 0; i < result.sections.length; i++) {
+        const s = result.sections[i];
+        const ext = s.format.split('/')[1];
+        const data = new Uint8Array(await s.blob.arrayBuffer());
+        files.push({ name: `section_${i + 1}.${ext}`, data });
+      }
+    }
+
+    // Add metadata JSON
+    if (include('metadata')) {
+      const metaStr = JSON.stringify(result.metadata, null, 2);
+      files.push({
+        name: 'metadata.json',
+        data: new TextEncoder().encode(metaStr),
+      });
+    }
+
+    // Add full page text
+    if (include('text') && result.text) {
+      files.push({
+        name: 'page_text.txt',
+        data: new TextEncoder().encode(result.text),
+      });
+    }
+
+    // Add DOM structure
+    if (include('dom') && result.pageInfo.domStructure) {
+      files.push({
+        name: 'dom_structure.html',
+        data: new TextEncoder().encode(result.pageInfo.domStructure),
+      });
+    }
+
+    // Add element boxes, in page and section coordinates
+    if (include('layout') && result.pageInfo.layout) {
+      files.push({
+        name: 'layout.json',
+        data: new TextEncoder().encode(JSON.stringify(buildLayout(result), null, 2)),
+      });
+    }
+
+    // Add image assets catalog
+    if (include('assets') && result.pageInfo.imageAssets) {
+      files.push({
+        name: 'assets.json',
+        data: new TextEncoder().encode(JSON.stringify(result.pageInfo.imageAssets, null, 2)),
+      });
+    }
+
+    // Add structured data (JSON-LD, Open Graph, Twitter)
+    if (include('structuredData') && result.pageInfo.structuredData?.length > 0) {
+      files.push({
+        name: 'structured_data.json',
+        data: new TextEncoder().encode(JSON.stringify(result.pageInfo.structuredData, null, 2)),
+      });
+    }
+
+    // Add design tokens (colors, fonts, CSS vars)
+    if (include('designTokens') && designTokens && result.pageInfo.designTokens) {
+      files.push({
+        name: 'design_tokens.json',
+        data: new TextEncoder().encode(JSON.stringify(result.pageInfo.designTokens, null, 2)),
+      });
+    }
+
+    // Add stylesheets
+    if (include('styles') && result.pageInfo.stylesheets?.length > 0) {
+      const cssFiles = result.pageInfo.stylesheets
+        .filter(s => s.css)
+        .map(s => s.type === 'inline' ? `/* Inline style block ${s.index} */\n${s.css}` : `/* ${s.href} */\n${s.css}`)
+        .join('\n\n');
+      if (cssFiles) {
+        files.push({
+          name: 'styles.css',
+          data: new TextEncoder().encode(cssFiles),
+        });
+      }
+    }
+
+    // Add external resources map
+    if (include('resources') && result.pageInfo.externalResources) {
+      files.push({
+        name: 'resources.json',
+        data: new TextEncoder().encode(JSON.stringify(result.pageInfo.externalResources, null, 2)),
+      });
+    }
+
+    // Add forms
+    if (include('forms') && result.pageInfo.forms?.length > 0) {
+      files.push({
+        name: 'forms.json',
+        data: new TextEncoder().encode(JSON.stringify(result.pageInfo.forms, null, 2)),
+      });
+    }
+
+    // Add full link map
+    if (include('links') && result.pageInfo.allLinks?.length > 0) {
+      files.push({
+        name: 'links.json',
+        data: new TextEncoder().encode(JSON.stringify(result.pageInfo.allLinks, null, 2)),
+      });
+    }
+
+    // Add console logs
+    if (include('console') && result.pageInfo.consoleLogs?.length > 0) {
+      const logText = result.pageInfo.consoleLogs
+        .map(e => `[${e.timestamp}] [${e.level.toUpperCase()}] ${e.message}`)
+        .join('\n');
+      files.push({
+        name: 'console.log',
+        data: new TextEncoder().encode(logText),
+      });
+    }
+
+    return files;
+  }
+
+  /**
+   * Every layout box in page coordinates (CSS px, like the annotations) and,
+   * for each section image it falls on, in that image's pixels — after the
+   * section's start row, device pixel ratio and compression scaling — clipped
+   * to the section. Boxes outside the captured image get no sections.
+   */
+  function buildLayout(result) {
+    const { pageInfo, sections } = result;
+    const dpr = pageInfo.devicePixelRatio || 1;
+    const region = pageInfo.captureRegion || { left: 0, top: 0 };
+
+    const elements = pageInfo.layout.map(({ x, y, w, h, ...box }) => {
+      const left = (x - region.left) * dpr;
+      const top = (y - region.top) * dpr;
+      const right = left + w * dpr;
+      const bottom = top + h * dpr;
+      const placements = [];
+      sections.forEach((s, index) => {
+        const scale = s.scaleFactor || 1;
+        const x1 = Math.max(0, left);
+        const x2 = Math.min(s.canvas.width, right);
+        const y1 = Math.max(s.startY, top);
+        const y2 = Math.min(s.endY, bottom);
+        if (x2 <= x1 || y2 <= y1) return;
+        placements.push({
+          section: index,
+          x: Math.round(x1 * scale),
+          y: Math.round((y1 - s.startY) * scale),
+          w: Math.round((x2 - x1) * scale),
+          h: Math.round((y2 - y1) * scale),
+          clipped: x1 > left || x2 < right || y1 > top || y2 < bottom,
+        });
+      });
+      return { ...box, page: { x, y, w, h }, sections: placements };
+    });
+
+    return {
+      coordinates: 'page', // CSS px in the scrolled document; sections[] are image pixels
+      devicePixelRatio: dpr,
+      captureRegion: pageInfo.captureRegion || null,
+      sections: sections.map((s, index) => ({
+        index,
+        startY: s.startY,
+        endY: s.endY,
+        scaleFactor: s.scaleFactor || 1,
+        width: Math.round(s.canvas.width * (s.scaleFactor || 1)),
+        height: Math.round((s.endY - s.startY) * (s.scaleFactor || 1)),
+      })),
+      elements,
+    };
+  }
+
+  function pageFolder(index) {
+    if (!isBatch) return '';
+    const page = pages[index];
+    return `${String(index + 1).padStart(2, '0')}_${sanitizeFilename(page.title || page.url)}/`;
+  }
+
+  // Only the dimensions that vary across the run get a folder level
+  function variantFolder(variant) {
+    const parts = [];
+    if (widths.length > 1 && variant.width) parts.push(`${variant.width}px`);
+    if (schemes.length > 1 && variant.colorScheme) parts.push(variant.colorScheme);
+    return parts.map(p => `${p}/`).join('');
+  }
+
+  // The same, for single-file names: "_768px_dark"
+  function variantSuffix(variant) {
+    return variant ? variantFolder(variant).split('/').filter(Boolean).map(p => `_${p}`).join('') : '';
+  }
+
   function triggerDownload(url, filename) {
     const a = document.createElement('a');
     a.href = url;
@@ -629,6 +2202,19 @@ const ZipBuilder = (() => {
     }
   }
 
+  function escapeHtml(str) {
+    return String(str ?? '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+  }
+
+  function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
   function sanitizeFilename(str) {
     return (str || 'page').replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 50);
   }